@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+
+/**
+ * Asset Hash command line interface
+ */
+
+process.exitCode = require('../lib/cli').run(process.argv.slice(2));
@@ -1,20 +1,518 @@
 /**
  * Small library to hash assets and generate asset manifest
- *
- * TODO: Add support to merge existing manifest file and computed asset library
  */
 
 var _			= require('lodash');
 var	crypto		= require('crypto');
 var	fs			= require('fs');
+var EventEmitter	= require('events').EventEmitter;
 var glob		= require('glob');
+var minimatch	= require('minimatch');
 var	path		= require('path');
+var stream		= require('stream');
+var url			= require('url');
+var zlib		= require('zlib');
+
+var createHelpers	= require('./lib/helpers');
+var createMiddleware	= require('./lib/middleware');
+var createStream	= require('./lib/stream');
+var createWatcher	= require('./lib/watch');
+var errors		= require('./lib/errors');
+var formats		= require('./lib/formats');
+var mime		= require('./lib/mime');
+var references	= require('./lib/references');
+
+
+/**
+ * Wrap node style async function so it returns a promise
+ *
+ * @private
+ * @param {function} fn The function to wrap.  Last argument must be a callback
+ * @return {function} Function returning a promise
+ */
+var promisify = function(fn) {
+	return function() {
+		var args = Array.prototype.slice.call(arguments);
+
+		return new Promise(function(resolve, reject) {
+			fn.apply(null, args.concat(function(err, result) {
+				return err ? reject(err) : resolve(result);
+			}));
+		});
+	};
+};
+
+
+/**
+ * Call function for each item, one after another, and concatenate returned arrays
+ *
+ * @private
+ * @param {array} items The items to process
+ * @param {function} fn Function returning array or promise for array for each item
+ * @return {Promise} Resolves with concatenated results
+ */
+var series = function(items, fn) {
+	return items.reduce(function(previous, item) {
+		return previous.then(function(results) {
+			return Promise.resolve(fn(item)).then(function(result) {
+				return results.concat(result);
+			});
+		});
+	}, Promise.resolve([]));
+};
+
+
+/**
+ * Copy file in chunks so large files are not loaded into memory
+ *
+ * @private
+ * @param {string} from The file to copy
+ * @param {string} to Where to copy the file
+ */
+var copyFileSync = function(from, to) {
+	var buffer = Buffer.alloc(64 * 1024);
+	var input = fs.openSync(from, 'r');
+	var output;
+	var bytesRead;
+
+	try {
+		output = fs.openSync(to, 'w');
+
+		while ((bytesRead = fs.readSync(input, buffer, 0, buffer.length, null)) > 0) {
+			fs.writeSync(output, buffer, 0, bytesRead);
+		}
+	}
+	finally {
+		fs.closeSync(input);
+
+		if (!_.isUndefined(output)) {
+			fs.closeSync(output);
+		}
+	}
+};
+
+
+/**
+ * Copy file.  Resolves once the copy has been fully written
+ *
+ * @private
+ * @param {string} from The file to copy
+ * @param {string} to Where to copy the file
+ * @return {Promise}
+ */
+var copyFile = function(from, to) {
+	return new Promise(function(resolve, reject) {
+		var reader = fs.createReadStream(from);
+		var writer = fs.createWriteStream(to);
+
+		reader.on('error', function(err) {
+			writer.end();
+			reject(err);
+		});
+
+		writer.on('error', reject);
+		writer.on('finish', resolve);
+
+		reader.pipe(writer);
+	});
+};
+
+
+/**
+ * Create directory and any missing parent directories
+ *
+ * @private
+ * @param {string} dirPath The directory to create
+ */
+var makeDirSync = function(dirPath) {
+	if (fs.existsSync(dirPath)) {
+		return;
+	}
+
+	makeDirSync(path.dirname(dirPath));
+	fs.mkdirSync(dirPath);
+};
+
+
+/**
+ * Create directory and any missing parent directories asynchronously
+ *
+ * @private
+ * @param {string} dirPath The directory to create
+ * @return {Promise} Resolves once the directory exists
+ */
+var makeDir = function(dirPath) {
+	return promisify(fs.stat)(dirPath).then(_.noop, function() {
+		return makeDir(path.dirname(dirPath)).then(function() {
+			return promisify(fs.mkdir)(dirPath).catch(function(err) {
+				// Another operation may have created it in the meantime
+				if (err.code !== 'EEXIST') {
+					throw err;
+				}
+			});
+		});
+	});
+};
+
+
+/**
+ * Compressed variants that can be created for hashed files, keyed by name.  Each has the extension added to the hashed path and the zlib functions to use
+ * @type {object}
+ */
+var compressions = {
+	gzip: {extension: '.gz', sync: 'gzipSync', async: 'gzip', options: {level: 9}},
+	brotli: {extension: '.br', sync: 'brotliCompressSync', async: 'brotliCompress', options: {}}
+};
+
+
+/**
+ * File types that are already compressed.  Compressed variants aren't created for them
+ * @type {array}
+ */
+var compressedTypes = ['7z', 'avif', 'br', 'bz2', 'gif', 'gz', 'jpeg', 'jpg', 'mp3', 'mp4', 'ogg', 'png', 'webm', 'webp', 'woff', 'woff2', 'zip'];
+
+
+/**
+ * Get compressed variants to create for a file type
+ *
+ * @private
+ * @param {boolean|string|array} compress The compress option.  True uses every compression zlib supports
+ * @param {string} type The file type
+ * @return {array} Names of the compressions
+ */
+var getCompressions = function(compress, type) {
+	var names = compress === true ? _.keys(compressions).filter(function(name) {
+		return _.isFunction(zlib[compressions[name].sync]);
+	}) : _.compact([].concat(compress || []));
+
+	names.forEach(function(name) {
+		if (!_.has(compressions, name)) {
+			throw new Error('Unsupported compression: ' + name + '.  Use ' + _.keys(compressions).join(' or '));
+		}
+
+		if (!_.isFunction(zlib[compressions[name].sync])) {
+			throw new Error('Compression not supported by this version of node: ' + name);
+		}
+	});
+
+	return _.contains(compressedTypes, String(type).toLowerCase()) ? [] : names;
+};
+
+
+/**
+ * Write compressed copy of file
+ *
+ * @private
+ * @param {string} from The path to the file to compress
+ * @param {string} to The path to the compressed file
+ * @param {string} name The name of the compression
+ */
+var compressFileSync = function(from, to, name) {
+	var compression = compressions[name];
+
+	fs.writeFileSync(to, zlib[compression.sync](fs.readFileSync(from), compression.options));
+};
+
+
+/**
+ * Write compressed copy of file asynchronously
+ *
+ * @private
+ * @param {string} from The path to the file to compress
+ * @param {string} to The path to the compressed file
+ * @param {string} name The name of the compression
+ * @return {Promise} Resolves once the compressed file is written
+ */
+var compressFile = function(from, to, name) {
+	var compression = compressions[name];
+
+	return promisify(fs.readFile)(from).then(function(contents) {
+		return promisify(zlib[compression.async])(contents, compression.options);
+	}).then(function(compressed) {
+		return promisify(fs.writeFile)(to, compressed);
+	});
+};
+
+
+/**
+ * Wrap error of failed file operation.  Errors creating files are wrapped in a WriteError, delete errors are left as they are
+ *
+ * @private
+ * @param {object} operation The operation that failed
+ * @param {Error} err The error
+ * @return {Error} The error to throw
+ */
+var operationError = function(operation, err) {
+	return operation.type === 'delete' ? err : new errors.WriteError(operation.to || operation.path, err);
+};
+
+
+/**
+ * Run file operations in order
+ *
+ * @private
+ * @param {array} operations The operations to run
+ */
+var runOperations = function(operations) {
+	operations.forEach(function(operation) {
+		try {
+			if (operation.type === 'mkdir') {
+				makeDirSync(operation.path);
+			} else if (operation.type === 'copy') {
+				copyFileSync(operation.from, operation.to);
+			} else if (operation.type === 'write') {
+				fs.writeFileSync(operation.to, operation.contents);
+			} else if (operation.type === 'compress') {
+				compressFileSync(operation.from, operation.to, operation.compression);
+			} else if (operation.type === 'delete') {
+				fs.unlinkSync(operation.path);
+			}
+		}
+		catch(e) {
+			throw operationError(operation, e);
+		}
+	});
+};
+
+
+/**
+ * Run file operations in order asynchronously.  Each operation finishes before the next one starts
+ *
+ * @private
+ * @param {array} operations The operations to run
+ * @return {Promise} Resolves once all operations are done.  Rejects with the first write or delete error
+ */
+var runOperationsAsync = function(operations) {
+	return series(operations, function(operation) {
+		var run;
+
+		if (operation.type === 'mkdir') {
+			run = makeDir(operation.path);
+		} else if (operation.type === 'copy') {
+			run = copyFile(operation.from, operation.to);
+		} else if (operation.type === 'write') {
+			run = promisify(fs.writeFile)(operation.to, operation.contents);
+		} else if (operation.type === 'compress') {
+			run = compressFile(operation.from, operation.to, operation.compression);
+		} else if (operation.type === 'delete') {
+			run = promisify(fs.unlink)(operation.path);
+		} else {
+			return [];
+		}
+
+		return run.then(_.constant([]), function(err) {
+			throw operationError(operation, err);
+		});
+	});
+};
+
+
+/**
+ * Merge asset libraries.  Entries changed in only one of them since the snapshot was taken are kept.  Entries changed in both that differ are
+ * conflicts, resolved using the conflict strategy
+ *
+ * @private
+ * @param {object} existing Asset library from the existing manifest file
+ * @param {object} computed Computed asset library
+ * @param {string} strategy How to resolve conflicts.  new: prefer computed entry, existing: prefer existing entry, error: throw error
+ * @param {object} snapshot Entries of the manifest file when the computed asset library was loaded from or saved to it
+ * @return {object} Merged asset library
+ */
+var mergeAssets = function(existing, computed, strategy, snapshot) {
+	if (!_.contains(['new', 'existing', 'error'], strategy)) {
+		throw new Error('Unknown manifest conflict strategy: ' + strategy);
+	}
+
+	var merged = _.assign({}, existing, computed);
+	var conflicts = [];
+
+	_.keys(computed).forEach(function(file) {
+		if (!_.has(existing, file) || _.isEqual(existing[file], computed[file]) || _.isEqual(existing[file], snapshot[file])) {
+			return;
+		}
+
+		// Entries only changed by another writer are kept, entries changed by both are conflicts
+		if (_.isEqual(computed[file], snapshot[file]) || strategy === 'existing') {
+			merged[file] = existing[file];
+		}
+
+		if (!_.isEqual(computed[file], snapshot[file])) {
+			conflicts.push(file);
+		}
+	});
+
+	if (strategy === 'error' && conflicts.length > 0) {
+		throw new Error('Manifest conflict for: ' + conflicts.join(', '));
+	}
+
+	return merged;
+};
+
+
+/**
+ * Compare asset libraries
+ *
+ * @private
+ * @param {object} before The asset library before the change
+ * @param {object} after The asset library after the change
+ * @return {object} Entries that were added and removed keyed by original file, and entries that changed with their entry before (from) and after (to)
+ */
+var diffAssets = function(before, after) {
+	return {
+		added: _.pick(after, function(entry, file) {
+			return !_.has(before, file);
+		}),
+		changed: _.reduce(after, function(changed, entry, file) {
+			if (_.has(before, file) && !_.isEqual(before[file], entry)) {
+				changed[file] = {from: before[file], to: entry};
+			}
+
+			return changed;
+		}, {}),
+		removed: _.pick(before, function(entry, file) {
+			return !_.has(after, file);
+		})
+	};
+};
+
+
+/**
+ * Compare manifests of two builds.  Entries with a different hash or hashed path are rehashed, entries that only differ in other metadata are unchanged
+ *
+ * @private
+ * @param {object} before The asset library of the earlier build
+ * @param {object} after The asset library of the later build
+ * @return {object} Entries that were added, removed, rehashed and unchanged keyed by original file.  Each has the old (from) and new (to) hashed path,
+ * or null if there is none
+ */
+var diffManifests = function(before, after) {
+	var diff = diffAssets(before, after);
+	var result = {
+		added: _.mapValues(diff.added, function(entry) {
+			return {from: null, to: entry.path};
+		}),
+		removed: _.mapValues(diff.removed, function(entry) {
+			return {from: entry.path, to: null};
+		}),
+		rehashed: {},
+		unchanged: {}
+	};
+
+	_.forEach(after, function(entry, file) {
+		if (_.has(before, file)) {
+			var rehashed = _.has(diff.changed, file) && (before[file].hash !== entry.hash || before[file].path !== entry.path);
+
+			result[rehashed ? 'rehashed' : 'unchanged'][file] = {from: before[file].path, to: entry.path};
+		}
+	});
+
+	return result;
+};
+
+
+/**
+ * Describe file operations for a dry run.  Copying or writing a file and then deleting the file it was created from is reported as a rename.
+ * Directories are created as needed, so they aren't reported
+ *
+ * @private
+ * @param {array} operations The operations that would be run
+ * @param {string} base The base directory.  Paths are reported relative to base
+ * @return {array} List of planned operations.  Each has a type (create, rename or delete) and the from and to paths, or the path to delete
+ */
+var describeOperations = function(operations, base) {
+	var relative = function(filePath) {
+		return path.relative(base, filePath);
+	};
+
+	var created = _.pluck(_.filter(operations, 'from'), 'from');
+	var deleted = _.pluck(_.filter(operations, {type: 'delete'}), 'path');
+
+	return operations.filter(function(operation) {
+		return operation.type !== 'mkdir' && (operation.type !== 'delete' || !_.contains(created, operation.path));
+	}).map(function(operation) {
+		if (operation.type === 'delete') {
+			return {type: 'delete', path: relative(operation.path)};
+		}
+
+		return {
+			type: _.contains(deleted, operation.from) ? 'rename' : 'create',
+			from: relative(operation.from),
+			to: relative(operation.to)
+		};
+	});
+};
+
+
+/**
+ * Convert bytes to base 36
+ *
+ * @private
+ * @param {buffer} buffer The bytes to convert
+ * @return {string} The base 36 number, most significant digit first
+ */
+var toBase36 = function(buffer) {
+	var digits = [0];
+
+	// Multiply the digits by 256 and add each byte, least significant digit first
+	Array.prototype.forEach.call(buffer, function(byte) {
+		var carry = byte;
+
+		for (var i = 0; i < digits.length; i++) {
+			carry += digits[i] * 256;
+			digits[i] = carry % 36;
+			carry = Math.floor(carry / 36);
+		}
+
+		while (carry > 0) {
+			digits.push(carry % 36);
+			carry = Math.floor(carry / 36);
+		}
+	});
+
+	return digits.reverse().map(function(digit) {
+		return digit.toString(36);
+	}).join('');
+};
+
+
+/**
+ * Hash encodings.  Each encoding converts digest bytes to a string that is safe to use in filenames
+ * @type {object}
+ */
+var encodings = {
+	hex: function(buffer) {
+		return buffer.toString('hex');
+	},
+	base36: toBase36,
+	base64url: function(buffer) {
+		return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+	}
+};
+
+
+/**
+ * Get function to encode hash digests
+ *
+ * @private
+ * @param {string} encoding The name of the encoding
+ * @return {function} Function converting a buffer to a string
+ */
+var getEncoding = function(encoding) {
+	if (!_.has(encodings, encoding)) {
+		throw new Error('Unknown hash encoding: ' + encoding + '.  Use ' + _.keys(encodings).join(', '));
+	}
+
+	return encodings[encoding];
+};
 
 
 /**
  * Create an instance of Asset Hash
+ *
+ * @param {object} opt Config options to use instead of the defaults
+ * @return {object} Asset hasher with its own config and asset library
  */
-var AssetHasher = function() {
+var AssetHasher = function(opt) {
 
 	/**
 	 * Asset manifest
@@ -32,6 +530,38 @@ var AssetHasher = function() {
 	 */
 	var assets = {};
 
+	/**
+	 * Absolute path of the manifest file the asset library was last loaded from or saved to.  The manifest is only loaded once when hashing, so
+	 * entries that haven't been saved yet aren't replaced with the entries in the file
+	 * @type {string|null}
+	 */
+	var loadedManifest = null;
+
+	/**
+	 * Entries of the manifest file when it was last loaded or saved.  Used to tell entries another build step changed in the file from entries
+	 * this hasher changed when merging
+	 * @type {object}
+	 */
+	var manifestSnapshot = {};
+
+	/**
+	 * Custom hash functions registered with registerHasher, keyed by name
+	 * @type {object}
+	 */
+	var hashers = {};
+
+	/**
+	 * Emitter for lifecycle events.  The hasher returned is this emitter
+	 * @type {EventEmitter}
+	 */
+	var emitter = new EventEmitter();
+
+	/**
+	 * Files that were and weren't found in the cache during the last hash run
+	 * @type {object}
+	 */
+	var cacheStats = {hits: [], misses: []};
+
 	/**
 	 * Default configuration
 	 * @type {object}
@@ -39,11 +569,18 @@ var AssetHasher = function() {
 	var config = {};
 
 	/**
-	 * The algorithm to use to generate hash
-	 * @type {string}
+	 * The algorithm to use to generate hash.  Use a node crypto algorithm, the name of a hash function registered with registerHasher,
+	 * or a function(contents, file) returning the hash as a string or buffer
+	 * @type {string|function}
 	 */
 	config.hasher = 'sha1';
 
+	/**
+	 * How to encode hash digests in filenames.  One of hex, base36 or base64url.  Hashes returned as strings by custom hash functions are used as they are
+	 * @type {string}
+	 */
+	config.encoding = 'hex';
+
 	/**
 	 * The hash key is prepended to the hash.  This makes it easy to identify hashed versions of a file
 	 * @type {string}
@@ -56,252 +593,2171 @@ var AssetHasher = function() {
 	 */
 	config.length = 8;
 
+	/**
+	 * Subresource integrity algorithm(s) to record in each asset library entry.  Use sha256, sha384 and/or sha512, or true for sha384.
+	 * Set to false to skip generating integrity values
+	 * @type {boolean|string|array}
+	 */
+	config.integrity = false;
+
+	/**
+	 * Compressed variant(s) to create next to each hashed file.  Use gzip and/or brotli, or true for every compression zlib supports.
+	 * Files types that are already compressed, such as images and fonts, are skipped.  Set to false to skip creating variants
+	 * @type {boolean|string|array}
+	 */
+	config.compress = false;
+
 	/**
 	 * Whether to replace original file or keep original file and create hashed file
 	 * @type {string}
 	 */
 	config.replace = false;
 
+	/**
+	 * Number of previously hashed versions of each file to keep.  Kept versions are tracked in the asset library entry so pages still referencing them keep working
+	 * during a rolling deploy.  Set to 0 to delete previous versions as soon as a file is rehashed unless they are younger than maxAge
+	 * @type {number}
+	 */
+	config.keep = 0;
+
+	/**
+	 * Keep previously hashed versions that were replaced less than this many milliseconds ago.  Set to 0 to only use keep
+	 * @type {number}
+	 */
+	config.maxAge = 0;
+
 	/**
 	 * The name and path to asset manifest file
 	 * @type {string}
 	 */
 	config.manifest = 'assets.json';
 
+	/**
+	 * Format of the manifest file.  One of default, pretty, rev or webpack, a function to serialize the asset library,
+	 * or an object with serialize(assets, options) and parse(contents, options) functions
+	 * @type {string|function|object}
+	 */
+	config.format = 'default';
+
 	/**
 	 * The base directory from which to save assets
 	 * @type {string}
 	 */
 	config.base = process.cwd();
 
-	/**
-	 * Path where to save manifest file
-	 * @type {string}
-	 */
-	config.path = '';
+	/**
+	 * Directory to write hashed files to.  The directory structure under base is mirrored in it and asset library paths are relative to it.
+	 * If empty, hashed files are written next to the original files
+	 * @type {string}
+	 */
+	config.dest = '';
+
+	/**
+	 * Path where to save manifest file
+	 * @type {string}
+	 */
+	config.path = '';
+
+	/**
+	 * Set this to false to skip saving hashed files.  Hashed filename will be generated and added to asset library but not saved to file system.
+	 * The reason for this feature is to allow build scripts like gulp to write the files themselves.
+	 * @type {boolean}
+	 */
+	config.save = true;
+
+	/**
+	 * Template for hashed filename
+	 * @type {string}
+	 */
+	config.template = '<%= name %>-<%= hash %>.<%= ext %>';
+
+	/**
+	 * Set this to true to merge the manifest file with the asset library when loading or saving the manifest instead of replacing it
+	 * @type {boolean}
+	 */
+	config.merge = false;
+
+	/**
+	 * How to resolve entries that differ between the manifest file and the asset library when merging.
+	 * new: prefer asset library entry, existing: prefer manifest file entry, error: throw an error
+	 * @type {string}
+	 */
+	config.conflict = 'new';
+
+	/**
+	 * Public url prefix to use for rewritten references.  If empty, references are rewritten relative to the referencing file
+	 * @type {string}
+	 */
+	config.publicPath = '';
+
+	/**
+	 * Set this to true to hash css, html and js files after the assets they reference.  References are rewritten to the hashed paths in the hashed files,
+	 * so a change to a referenced asset changes the hash of every file referencing it
+	 * @type {boolean}
+	 */
+	config.cascade = false;
+
+	/**
+	 * Set this to true to hash css and js files together with the source map they reference.  The sourceMappingURL comment is rewritten to the hashed
+	 * source map, the file property of the source map is set to the hashed file and the asset library entries are linked
+	 * @type {boolean}
+	 */
+	config.sourceMaps = false;
+
+	/**
+	 * Set this to true to work out the file operations and manifest changes hashing would make without changing any files or the asset library.
+	 * hashFiles and hashFilesAsync return the plan instead of the hash results
+	 * @type {boolean}
+	 */
+	config.dryRun = false;
+
+	/**
+	 * Glob or array of globs for files to skip.  Globs are matched against paths relative to base.  Globs without a slash match the filename in any directory
+	 * @type {string|array}
+	 */
+	config.ignore = [];
+
+	/**
+	 * Glob or array of globs for files to hash.  Other files are skipped.  If empty, all files are hashed unless they are ignored
+	 * @type {string|array}
+	 */
+	config.include = [];
+
+	/**
+	 * Set this to true to hash dotfiles and files in dot directories such as .DS_Store and .gitkeep
+	 * @type {boolean}
+	 */
+	config.dot = false;
+
+	/**
+	 * Set this to false to hash files generated by asset hasher.  These are hashed files, identified by the hash key in their filename, and the manifest file
+	 * @type {boolean}
+	 */
+	config.skipGenerated = true;
+
+	/**
+	 * Set this to true to throw errors for warnings, such as a glob matching no files, instead of emitting warning events.  Async methods reject instead
+	 * @type {boolean}
+	 */
+	config.strict = false;
+
+	/**
+	 * Set this to true to record the modification time and size of each file in the asset library, and skip reading and hashing files that haven't
+	 * changed since they were last hashed.  Only applies to files on disk
+	 * @type {boolean}
+	 */
+	config.cache = false;
+
+	/**
+	 * Set this to true to read and hash every file even if it's unchanged according to the cache
+	 * @type {boolean}
+	 */
+	config.force = false;
+
+
+	/**
+	 * Check if file is a vinyl file or file object.  To be a file object, the following properties are required: path, contents
+	 *
+	 * @private
+	 * @param {vinyl|object} file The object to check to see if it's a valid file
+	 * @return {boolean} Whether file is a valid file object
+	 */
+	var isFile = function(file) {
+		return  !_.isString(file) && !_.isUndefined(file.path) && !_.isUndefined(file.contents) ? true : false;
+	};
+
+
+	/**
+	 * Check if file contents are a readable stream
+	 *
+	 * @private
+	 * @param {*} contents The file contents to check
+	 * @return {boolean} Whether contents is a stream
+	 */
+	var isStream = function(contents) {
+		return !_.isNull(contents) && _.isObject(contents) && _.isFunction(contents.pipe);
+	};
+
+
+	/**
+	 * Get path to file relative to base
+	 *
+	 * @private
+	 * @param {string|vinyl|object} file The path to the file or the file object
+	 * @param {object} options The options specified
+	 * @return {string} The path relative to base
+	 */
+	var relativePath = function(file, options) {
+		return path.relative(options.base, isFile(file) ? file.path : file);
+	};
+
+
+	/**
+	 * Get path to manifest file
+	 *
+	 * @private
+	 * @param {object} options The options specified.  Uses path and manifest
+	 * @return {string} The absolute path to the manifest file or an empty string if the manifest isn't saved
+	 */
+	var getManifestPath = function(options) {
+		return _.isString(options.manifest) && options.manifest !== '' ? path.resolve(options.path, options.manifest) : '';
+	};
+
+
+	/**
+	 * Check if file was generated by asset hasher.  Hashed files have the hash key in their filename
+	 *
+	 * @private
+	 * @param {string} filePath The path to the file
+	 * @param {object} options The options specified.  Uses hashKey, path and manifest
+	 * @return {boolean} Whether the file is a hashed file or the manifest file
+	 */
+	var isGenerated = function(filePath, options) {
+		return path.basename(filePath).indexOf(options.hashKey) !== -1 || path.resolve(filePath) === getManifestPath(options);
+	};
+
+
+	/**
+	 * Check if file should be hashed using the ignore, include, dot and skipGenerated options
+	 *
+	 * @private
+	 * @param {string|vinyl|object} file The path to the file or the file object
+	 * @param {object} options The options specified
+	 * @return {boolean} Whether the file should be hashed
+	 */
+	var isIncluded = function(file, options) {
+		var filePath = relativePath(file, options).split(path.sep).join('/');
+
+		var matches = function(globs) {
+			return [].concat(globs).some(function(pattern) {
+				return minimatch(filePath, pattern, {dot: true, matchBase: true});
+			});
+		};
+
+		if (!options.dot && _.some(filePath.split('/'), function(part) {
+			return part.charAt(0) === '.' && part !== '.' && part !== '..';
+		})) {
+			return false;
+		}
+
+		if (options.skipGenerated && isGenerated(isFile(file) ? file.path : file, options)) {
+			return false;
+		}
+
+		return (_.isEmpty(options.include) || matches(options.include)) && !matches(options.ignore);
+	};
+
+
+	/**
+	 * Get directory hashed files are written to
+	 *
+	 * @private
+	 * @param {object} options The options specified.  Uses dest and base
+	 * @return {string} The output directory
+	 */
+	var getOutputDir = function(options) {
+		return options.dest ? path.resolve(options.dest) : options.base;
+	};
+
+
+	/**
+	 * Get buffer contents of file object.  Hashed files are written from these contents instead of copying the original file
+	 *
+	 * @private
+	 * @param {string|vinyl|object} file The path to the file or the file object
+	 * @return {buffer|null} The file contents or null for file paths and stream contents
+	 */
+	var getContents = function(file) {
+		if (!isFile(file) || isStream(file.contents) || _.isNull(file.contents)) {
+			return null;
+		}
+
+		return Buffer.isBuffer(file.contents) ? file.contents : Buffer.from(file.contents);
+	};
+
+
+	/**
+	 * Load assets from manifest if present
+	 *
+	 * @private
+	 * @param {object} options The options specified
+	 * @return {boolean} Whether the manifest was loaded
+	 */
+	var loadManifest = function(opt) {
+		var options = _.clone(config);
+		_.assign(options, opt);
+
+		var manifest = readManifest(options);
+
+		if (manifest === null) {
+			rememberManifest(getManifestPath(options), {});
+			return false;
+		}
+
+		assets = options.merge ? mergeAssets(manifest, assets, options.conflict, getManifestSnapshot(options)) : manifest;
+		rememberManifest(getManifestPath(options), manifest);
+
+		emitter.emit('manifestLoad', {
+			path: path.resolve(options.path, options.manifest),
+			assets: assets
+		});
+
+		return true;
+	};
+
+
+	/**
+	 * Load assets from manifest unless the asset library was already loaded from or saved to it
+	 *
+	 * @private
+	 * @param {object} options The options specified
+	 * @return {boolean} Whether the manifest was loaded
+	 */
+	var ensureManifest = function(options) {
+		return getManifestPath(options) === loadedManifest ? false : loadManifest(options);
+	};
+
+
+	/**
+	 * Remember the manifest file the asset library was loaded from or saved to and its entries
+	 *
+	 * @private
+	 * @param {string} manifestPath The absolute path to the manifest file
+	 * @param {object} manifest The entries of the manifest file
+	 */
+	var rememberManifest = function(manifestPath, manifest) {
+		loadedManifest = manifestPath;
+		manifestSnapshot = _.cloneDeep(manifest);
+	};
+
+
+	/**
+	 * Get entries of manifest file when it was last loaded or saved
+	 *
+	 * @private
+	 * @param {object} options The options specified
+	 * @return {object} The entries, or an empty object if the asset library wasn't loaded from or saved to the manifest file
+	 */
+	var getManifestSnapshot = function(options) {
+		return getManifestPath(options) === loadedManifest ? manifestSnapshot : {};
+	};
+
+
+	/**
+	 * Read asset library from manifest file
+	 *
+	 * @private
+	 * @param {object} options The options specified
+	 * @return {object|null} The asset library from the manifest file or null if there is no manifest file or its format can't be parsed
+	 */
+	var readManifest = function(options) {
+		var format = formats.get(options.format);
+		var manifestPath = getManifestPath(options);
+		var contents;
+
+		if (manifestPath === '' || !format.parse) {
+			return null;
+		}
+
+		// Read manifest instead of requiring it so instances don't share a cached asset library
+		try {
+			contents = fs.readFileSync(manifestPath, 'utf8');
+		}
+		catch(e) {
+			if (e.code === 'ENOENT' || e.code === 'EISDIR') {
+				return null;
+			}
+
+			throw e;
+		}
+
+		// A manifest that can't be parsed must not be replaced with an empty asset library
+		try {
+			return format.parse(contents, options) || {};
+		}
+		catch(e) {
+			if (e instanceof errors.ManifestVersionError) {
+				throw new errors.ManifestVersionError(e.version, e.supported, manifestPath);
+			}
+
+			throw new errors.ManifestParseError(manifestPath, e);
+		}
+	};
+
+
+	/**
+	 * Get asset library to compare.  Strings are read as manifest files
+	 *
+	 * @private
+	 * @param {string|object} manifest The path to the manifest file or the asset library
+	 * @param {object} options The options specified.  Uses format
+	 * @return {object} The asset library
+	 */
+	var readManifestFile = function(manifest, options) {
+		if (!_.isString(manifest)) {
+			return manifest || {};
+		}
+
+		var loaded = readManifest(_.assign({}, options, {path: path.dirname(manifest), manifest: path.basename(manifest)}));
+
+		// Comparing with a missing manifest would report every asset as added
+		if (loaded === null) {
+			throw new errors.AssetHashError('Manifest not found: ' + manifest);
+		}
+
+		return loaded;
+	};
+
+
+	/**
+	 * Save assets library to manifest file
+	 *
+	 * @private
+	 * @param {object} opt Options to configure the manifest file generated
+	 */
+	var saveManifest = function(opt) {
+		var options = _.clone(config);
+
+		_.assign(options, opt);
+
+		if (options.manifest !== false && (typeof options.manifest === 'string' && options.manifest !== '')) {
+			// Keep entries other build steps added to the manifest file
+			if (options.merge) {
+				assets = mergeAssets(readManifest(options) || {}, assets, options.conflict, getManifestSnapshot(options));
+			}
+
+			var manifestPath = path.join(options.path, options.manifest);
+			var contents = serializeManifest(options);
+
+			try {
+				fs.writeFileSync(manifestPath, contents);
+			}
+			catch(e) {
+				throw new errors.WriteError(manifestPath, e);
+			}
+
+			// Keep the entries as they are read back, formats may leave out some of the asset library
+			var format = formats.get(options.format);
+
+			rememberManifest(getManifestPath(options), format.parse ? format.parse(contents, options) || {} : {});
+
+			emitter.emit('manifestSave', {
+				path: path.resolve(manifestPath),
+				contents: contents
+			});
+		}
+	};
+
+
+	/**
+	 * Serialize asset library using the manifest format
+	 *
+	 * @private
+	 * @param {object} options The options specified
+	 * @return {string} The manifest file contents
+	 */
+	var serializeManifest = function(options) {
+		return formats.get(options.format).serialize(assets, options);
+	};
+
+
+	/**
+	 * Remove asset from asset library and delete its hashed file and kept versions
+	 *
+	 * @private
+	 * @param {string} file The path to the original file relative to base
+	 * @param {object} options The options specified
+	 * @return {object|null} The removed asset or null if file is not in the asset library
+	 */
+	var removeAsset = function(file, options) {
+		var asset = assets[file];
+
+		if (!_.isObject(asset)) {
+			return null;
+		}
+
+		getHashedPaths(asset).forEach(function(filePath) {
+			removeHashedFile(filePath, options);
+		});
+
+		delete assets[file];
+
+		return asset;
+	};
+
+
+	/**
+	 * Get paths of the hashed file and kept versions of an asset
+	 *
+	 * @private
+	 * @param {object} asset The asset library entry
+	 * @return {array} Paths relative to the output directory
+	 */
+	var getHashedPaths = function(asset) {
+		return (asset.path !== asset.original ? [asset.path] : []).concat(_.pluck(asset.versions || [], 'path'));
+	};
+
+
+	/**
+	 * Delete hashed file and its compressed variants if they exist
+	 *
+	 * @private
+	 * @param {string} filePath The path to the hashed file relative to the output directory
+	 * @param {object} options The options specified
+	 * @return {boolean} Whether the hashed file was deleted
+	 */
+	var removeHashedFile = function(filePath, options) {
+		var hashedPath = path.resolve(getOutputDir(options), filePath);
+
+		getVariantPaths(hashedPath).forEach(function(variantPath) {
+			fs.unlinkSync(variantPath);
+			emitter.emit('delete', {path: variantPath});
+		});
+
+		if (!fs.existsSync(hashedPath)) {
+			return false;
+		}
+
+		fs.unlinkSync(hashedPath);
+		emitter.emit('delete', {path: hashedPath});
+
+		return true;
+	};
+
+
+	/**
+	 * Get paths of compressed variants of a hashed file that exist
+	 *
+	 * @private
+	 * @param {string} hashedPath The absolute path to the hashed file
+	 * @return {array} Absolute paths of the compressed variants
+	 */
+	var getVariantPaths = function(hashedPath) {
+		return _.map(compressions, function(compression) {
+			return hashedPath + compression.extension;
+		}).filter(function(variantPath) {
+			return fs.existsSync(variantPath);
+		});
+	};
+
+
+	/**
+	 * Find asset to serve for a path.  Hashed paths of the asset and of its kept versions are served, original paths are resolved to the hashed file
+	 *
+	 * @private
+	 * @param {string} filePath The requested path relative to base
+	 * @param {object} options The options specified.  Uses dest and base
+	 * @return {object|null} The absolute path to the hashed file, its hash, MIME type and hashed path and whether the original path was requested,
+	 * or null if the path isn't a hashed file or an original file that was hashed
+	 */
+	var findServedAsset = function(filePath, options) {
+		var found = null;
+
+		filePath = path.normalize(filePath.split('/').join(path.sep));
+
+		_.forEach(assets, function(asset, original) {
+			var version = _.find(asset.versions || [], {path: filePath});
+
+			if (asset.path === original) {
+				return;
+			}
+
+			if (asset.path === filePath || original === filePath || version) {
+				found = {
+					file: path.resolve(getOutputDir(options), version ? version.path : asset.path),
+					hash: version ? version.hash : asset.hash,
+					mime: asset.mime || mime.lookup(original),
+					path: version ? version.path : asset.path,
+					original: original === filePath
+				};
+
+				return false;
+			}
+		});
+
+		return found;
+	};
+
+
+	/**
+	 * Record compressed variants of hashed file and their sizes in the hash result
+	 *
+	 * @private
+	 * @param {object} result The hash result
+	 * @param {array} compressed The compress operations that were run
+	 * @param {array} sizes The size of each compressed variant
+	 */
+	var addVariants = function(result, compressed, sizes) {
+		if (compressed.length > 0) {
+			result.variants = _.zipObject(_.pluck(compressed, 'compression'), compressed.map(function(operation, index) {
+				return {
+					path: result.path + compressions[operation.compression].extension,
+					size: sizes[index]
+				};
+			}));
+		}
+	};
+
+
+	/**
+	 * Check if previously hashed versions are kept
+	 *
+	 * @private
+	 * @param {object} options The options specified.  Uses keep and maxAge
+	 * @return {boolean} Whether a retention policy is set
+	 */
+	var keepsVersions = function(options) {
+		return options.keep > 0 || options.maxAge > 0;
+	};
+
+
+	/**
+	 * Split previously hashed versions into versions to keep and expired versions using the retention policy
+	 *
+	 * @private
+	 * @param {array} versions Previously hashed versions, newest first.  Each version has the path, the hash and when it was replaced
+	 * @param {object} options The options specified.  Uses keep and maxAge
+	 * @param {number} now Current time in milliseconds
+	 * @return {object} Versions to keep as retained and versions to delete as expired
+	 */
+	var expireVersions = function(versions, options, now) {
+		var split = _.partition(versions, function(version, index) {
+			return index < options.keep || (options.maxAge > 0 && now - version.replaced < options.maxAge);
+		});
+
+		return {
+			retained: split[0],
+			expired: split[1]
+		};
+	};
+
+
+	/**
+	 * Delete expired versions of hashed files and orphaned hashed files whose original file no longer exists.  Orphans are removed from the asset library
+	 *
+	 * @private
+	 * @param {object} opt Options to use.  Uses keep and maxAge for the retention policy, and all to delete the hashed files of every asset
+	 * @return {array} Paths of deleted files relative to the output directory
+	 */
+	var clean = function(opt) {
+		var options = _.clone(config);
+		var now = Date.now();
+		var removed = [];
+
+		_.assign(options, opt);
+
+		ensureManifest(options);
+
+		_.keys(assets).forEach(function(file) {
+			var asset = assets[file];
+			var versions;
+
+			// Originals are deleted when replacing them, so a missing original doesn't mean the asset is orphaned
+			if (options.all || (!options.replace && !fs.existsSync(path.resolve(options.base, asset.original)))) {
+				removed = removed.concat(getHashedPaths(asset).filter(function(filePath) {
+					return removeHashedFile(filePath, options);
+				}));
+
+				delete assets[file];
+				return;
+			}
+
+			if (_.isArray(asset.versions)) {
+				versions = expireVersions(asset.versions, options, now);
+
+				removed = removed.concat(_.pluck(versions.expired, 'path').filter(function(filePath) {
+					return removeHashedFile(filePath, options);
+				}));
+
+				asset.versions = versions.retained;
+			}
+		});
+
+		return removed;
+	};
+
+
+	/**
+	 * Get custom hash function to use
+	 *
+	 * @private
+	 * @param {string|function} hasher The hasher option
+	 * @return {function|null} The custom hash function or null to use the node crypto algorithm
+	 */
+	var getHashFunction = function(hasher) {
+		if (_.isFunction(hasher)) {
+			return hasher;
+		}
+
+		if (_.has(hashers, hasher)) {
+			return hashers[hasher];
+		}
+
+		if (!_.contains(crypto.getHashes(), hasher)) {
+			throw new errors.UnknownHasherError(hasher);
+		}
+
+		return null;
+	};
+
+
+	/**
+	 * Check hasher and encoding options are valid
+	 *
+	 * @private
+	 * @param {object} options The options to check
+	 */
+	var validateHasher = function(options) {
+		if (_.has(options, 'hasher')) {
+			getHashFunction(options.hasher);
+		}
+
+		if (_.has(options, 'encoding')) {
+			getEncoding(options.encoding);
+		}
+	};
+
+
+	/**
+	 * Create digest to generate hash and subresource integrity hashes incrementally from chunks of file contents.  Contents are only read once for all of them.
+	 * Custom hash functions get all contents at once
+	 *
+	 * @private
+	 * @param {string|vinyl|object} file The path to the file or the file object to hash
+	 * @param {object} options Options to use to hash the file.  Uses hasher, encoding, length and integrity
+	 * @return {object} Digest with update(chunk) and digest() methods.  digest() returns the hash, the size of the contents and the integrity value
+	 */
+	var createDigest = function(file, options) {
+		var custom = getHashFunction(options.hasher);
+		var encode = getEncoding(options.encoding);
+		var hasher = custom ? null : crypto.createHash(options.hasher);
+		var chunks = [];
+		var integrity = getIntegrityAlgorithms(options.integrity).map(function(algorithm) {
+			return {
+				algorithm: algorithm,
+				hasher: crypto.createHash(algorithm)
+			};
+		});
+		var size = 0;
+
+		return {
+			update: function(chunk) {
+				if (chunk && chunk.length) {
+					if (custom) {
+						chunks.push(chunk);
+					} else {
+						hasher.update(chunk);
+					}
+
+					size += chunk.length;
+
+					integrity.forEach(function(sri) {
+						sri.hasher.update(chunk);
+					});
+				}
+			},
+
+			digest: function() {
+				// Empty files are hashed as well, so they get a hashed path like any other file
+				var hash = custom ? custom(Buffer.concat(chunks), file) : hasher.digest();
+
+				hash = (Buffer.isBuffer(hash) ? encode(hash) : String(hash)).slice(0, options.length);
+
+				return {
+					hash: hash,
+					size: size,
+					integrity: integrity.map(function(sri) {
+						return sri.algorithm + '-' + sri.hasher.digest('base64');
+					}).join(' ')
+				};
+			}
+		};
+	};
+
+
+	/**
+	 * Get subresource integrity algorithms to use
+	 *
+	 * @private
+	 * @param {boolean|string|array} integrity The integrity option.  True uses sha384
+	 * @return {array} The algorithms
+	 */
+	var getIntegrityAlgorithms = function(integrity) {
+		var algorithms = integrity === true ? ['sha384'] : _.compact([].concat(integrity || []));
+
+		algorithms.forEach(function(algorithm) {
+			if (!_.contains(['sha256', 'sha384', 'sha512'], algorithm)) {
+				throw new Error('Unsupported integrity algorithm: ' + algorithm + '.  Use sha256, sha384 or sha512');
+			}
+		});
+
+		return algorithms;
+	};
+
+
+	/**
+	 * Generate hash based on contents.  Buffers and strings are hashed as raw bytes and files on disk are read in chunks
+	 *
+	 * @private
+	 * @param {string|vinyl|object} file The path to the file or the file object to hash
+	 * @param {object} options Options to use to hash the file
+	 * @return {object} The generated hash and integrity value
+	 */
+	var generateHash = function(file, options) {
+		var digest = createDigest(file, options);
+
+		if (!isFile(file)) {
+			var buffer = Buffer.alloc(64 * 1024);
+			var input = fs.openSync(file, 'r');
+			var bytesRead;
+
+			try {
+				while ((bytesRead = fs.readSync(input, buffer, 0, buffer.length, null)) > 0) {
+					digest.update(buffer.slice(0, bytesRead));
+				}
+			}
+			finally {
+				fs.closeSync(input);
+			}
+		} else if (isStream(file.contents)) {
+			throw new Error('Files with stream contents can only be hashed with hashFilesAsync: ' + file.path);
+		} else {
+			digest.update(file.contents);
+		}
+
+		return digest.digest();
+	};
+
+
+	/**
+	 * Generate hash based on contents asynchronously.  Files on disk and stream contents are hashed as they are read
+	 *
+	 * @private
+	 * @param {string|vinyl|object} file The path to the file or the file object to hash
+	 * @param {object} options Options to use to hash the file
+	 * @return {Promise} Resolves with the generated hash and integrity value
+	 */
+	var generateHashAsync = function(file, options) {
+		var digest = createDigest(file, options);
+
+		if (isFile(file) && !isStream(file.contents)) {
+			digest.update(file.contents);
+			return Promise.resolve(digest.digest());
+		}
+
+		return new Promise(function(resolve, reject) {
+			var input = isFile(file) ? file.contents : fs.createReadStream(file);
+			var chunks = [];
+
+			input.on('data', function(chunk) {
+				digest.update(chunk);
+
+				// Stream contents can only be read once so keep them to hand back to the file object
+				if (isFile(file)) {
+					chunks.push(chunk);
+				}
+			});
+
+			input.on('error', reject);
+
+			input.on('end', function() {
+				if (isFile(file)) {
+					file.contents = new stream.PassThrough();
+					file.contents.end(Buffer.concat(chunks));
+				}
+
+				resolve(digest.digest());
+			});
+		});
+	};
+
+
+	/**
+	 * Get hashed path of file from the template
+	 *
+	 * @private
+	 * @param {string} filePath The path to the file relative to base
+	 * @param {string} hash The hash including the hash key
+	 * @param {object} options Options to use to hash the file.  Uses template
+	 * @return {string} The hashed path relative to the output directory
+	 */
+	var getHashedPath = function(filePath, hash, options) {
+		var ext = path.extname(filePath);
+
+		return path.join(path.dirname(filePath), _.template(options.template)({
+			name: path.basename(filePath, ext),
+			hash: hash,
+			ext: ext.replace('.', '')
+		}));
+	};
+
+
+	/**
+	 * Work out hash result for file and the glob pattern for previously hashed versions.  The asset library is updated with the result
+	 *
+	 * @private
+	 * @param {string} filePath The path to the file relative to base
+	 * @param {object} digest The hash and integrity value generated from file contents
+	 * @param {object} options Options to use to hash the file
+	 * @return {object} Hash result and the glob pattern for previously hashed versions.  Pattern will be empty if there is nothing to write
+	 */
+	var planFile = function(filePath, digest, options) {
+		var pattern = '';
+
+		// Initialize results object
+		var result 		= {
+			hashed: false,
+			hash: '',
+			original: filePath,
+			path: filePath,
+			type: path.extname(filePath).replace('.', ''),
+			size: digest.size,
+			mime: mime.lookup(filePath)
+		};
+
+		// If this is a hashed file, return.  Nothing else to do here
+		var hashedVersion = _.isString(filePath) && filePath.indexOf(options.hashKey) === -1 ? false : true;
+
+		if (!hashedVersion) {
+			var originalPath = result.original;
+
+			var previous = assets[originalPath];
+
+			// If file was already hashed, get old hash
+			if (previous) {
+				result.hashed = assets[originalPath].hashed;
+				result.hash = assets[originalPath].hash;
+				result.path = assets[originalPath].path;
+				result.hashedAt = assets[originalPath].hashedAt;
+			} else {
+				result.hashed = true;
+			}
+
+			// Generate hash from content
+			var newHash = options.hashKey + digest.hash;
+
+			// If hash was generated
+			if (result.hash !== newHash) {
+				result.hash =  newHash;
+				result.hashedAt = Date.now();
+				result.path = getHashedPath(filePath, result.hash, options);
+
+				// Pattern to match previously hashed files
+				pattern = getHashedPath(filePath, '==HASHREGEX==', options).replace('==HASHREGEX==', options.hashKey + '*');
+
+				if (keepsVersions(options)) {
+					result.versions = getVersions(previous, result.path, options);
+				}
+
+				// Add file to or update asset library
+				assets[originalPath] = result;
+			} else {
+				// Complete entries migrated from manifests without size, MIME type or last hashed time
+				result.hashedAt = result.hashedAt || Date.now();
+				_.assign(assets[originalPath], _.pick(result, 'size', 'mime', 'hashedAt'));
+			}
+
+			// Record integrity even if hash is unchanged, integrity may have been enabled since the file was hashed
+			if (digest.integrity) {
+				result.integrity = assets[originalPath].integrity = digest.integrity;
+			}
+		}
+
+		return {
+			result: result,
+			pattern: pattern
+		};
+	};
+
+
+	/**
+	 * Get previously hashed versions to keep when a file is rehashed.  The replaced hashed file becomes the newest version
+	 *
+	 * @private
+	 * @param {object|undefined} previous The asset library entry before the file was rehashed
+	 * @param {string} hashedPath The new hashed path
+	 * @param {object} options The options specified.  Uses keep and maxAge
+	 * @return {array} Versions to keep, newest first
+	 */
+	var getVersions = function(previous, hashedPath, options) {
+		var versions = [];
+
+		if (!previous) {
+			return versions;
+		}
+
+		if (previous.path !== previous.original) {
+			versions.push({path: previous.path, hash: previous.hash, replaced: Date.now()});
+		}
+
+		// A file changed back to an earlier version is no longer a previous version
+		versions = versions.concat(previous.versions || []).filter(function(version) {
+			return version.path !== hashedPath;
+		});
+
+		return expireVersions(versions, options, Date.now()).retained;
+	};
+
+
+	/**
+	 * Get file operations needed to replace previously hashed versions with the new hashed file.  Versions kept by the retention policy aren't deleted.
+	 * Hashed paths are resolved from the output directory and the original path from base
+	 *
+	 * @private
+	 * @param {object} result The hash result for the file
+	 * @param {array} oldFiles Previously hashed versions of the file relative to the output directory
+	 * @param {object} options Options to use to hash the file
+	 * @param {buffer|null} contents Contents to write to the hashed file.  If null, the original file is copied
+	 * @return {array} List of operations.  Each operation has a type (mkdir, copy, write, compress or delete) and paths
+	 */
+	var getOperations = function(result, oldFiles, options, contents) {
+		var operations = [];
+		var originalPath = path.resolve(options.base, result.original);
+		var hashedPath = path.resolve(getOutputDir(options), result.path);
+		var kept = _.pluck(result.versions || [], 'path');
+
+		// Delete old hash file(s) along with their stale compressed variants
+		oldFiles.forEach(function(filePath) {
+			var oldPath = path.resolve(getOutputDir(options), filePath);
+
+			if (_.contains(kept, path.normalize(filePath))) {
+				return;
+			}
+
+			[oldPath].concat(getVariantPaths(oldPath)).forEach(function(deletePath) {
+				operations.push({type: 'delete', path: deletePath});
+			});
+		});
+
+		// Create new hashed file unless instructed to skip
+		if (options.save) {
+			operations.push({type: 'mkdir', path: path.dirname(hashedPath)});
+		}
+
+		if (options.save && contents) {
+			operations.push({type: 'write', from: originalPath, to: hashedPath, contents: contents});
+		} else if (options.save) {
+			operations.push({type: 'copy', from: originalPath, to: hashedPath});
+		}
+
+		if (options.save) {
+			getCompressions(options.compress, result.type).forEach(function(name) {
+				operations.push({type: 'compress', compression: name, from: hashedPath, to: hashedPath + compressions[name].extension});
+			});
+		}
+
+		// Remove original file if necessary
+		if (options.replace) {
+			operations.push({type: 'delete', path: originalPath});
+		}
+
+		return operations;
+	};
+
+
+	/**
+	 * Emit event for file operation that was run
+	 *
+	 * @private
+	 * @param {object} operation The operation
+	 */
+	var emitOperation = function(operation) {
+		if (operation.type === 'delete') {
+			emitter.emit('delete', {path: operation.path});
+		} else if (operation.type !== 'mkdir') {
+			emitter.emit('write', {type: operation.type, from: operation.from, to: operation.to});
+		}
+	};
+
+
+	/**
+	 * Run file operations and emit write and delete events for them.  In a dry run the operations are added to the planned operations instead
+	 *
+	 * @private
+	 * @param {array} operations The operations to run
+	 * @param {object} options The options specified.  Uses dryRun
+	 * @param {array} planned List to add file operations to in a dry run
+	 * @return {boolean} Whether the operations were run
+	 */
+	var applyOperations = function(operations, options, planned) {
+		if (options.dryRun) {
+			Array.prototype.push.apply(planned || [], operations);
+			return false;
+		}
+
+		runOperations(operations);
+		operations.forEach(emitOperation);
+
+		return true;
+	};
+
+
+	/**
+	 * Run file operations asynchronously and emit write and delete events for them.  In a dry run the operations are added to the planned operations instead
+	 *
+	 * @private
+	 * @param {array} operations The operations to run
+	 * @param {object} options The options specified.  Uses dryRun
+	 * @param {array} planned List to add file operations to in a dry run
+	 * @return {Promise} Resolves with whether the operations were run
+	 */
+	var applyOperationsAsync = function(operations, options, planned) {
+		if (options.dryRun) {
+			Array.prototype.push.apply(planned || [], operations);
+			return Promise.resolve(false);
+		}
+
+		return runOperationsAsync(operations).then(function() {
+			operations.forEach(emitOperation);
+			return true;
+		});
+	};
+
+
+	/**
+	 * Check if contents of file need to be passed to beforeHash listeners.  Stream contents can't be transformed
+	 *
+	 * @private
+	 * @param {string|vinyl|object} file The path to the file or the file object
+	 * @return {boolean} Whether beforeHash should be emitted
+	 */
+	var hasBeforeHash = function(file) {
+		return emitter.listeners('beforeHash').length > 0 && !(isFile(file) && isStream(file.contents));
+	};
+
+
+	/**
+	 * Emit beforeHash event so listeners can transform contents before the file is hashed.  Listeners replace the contents property of the event
+	 *
+	 * @private
+	 * @param {string|vinyl|object} file The path to the file or the file object
+	 * @param {buffer} contents The file contents
+	 * @param {object} options The options specified
+	 * @return {string|vinyl|object} The file or a file object with the transformed contents
+	 */
+	var transformContents = function(file, contents, options) {
+		var event = {file: relativePath(file, options), contents: contents};
+
+		emitter.emit('beforeHash', event);
+
+		if (event.contents === contents) {
+			return file;
+		}
+
+		contents = Buffer.isBuffer(event.contents) ? event.contents : Buffer.from(String(event.contents));
+
+		if (isFile(file)) {
+			file.contents = contents;
+			return file;
+		}
+
+		return {
+			path: path.resolve(file),
+			contents: contents
+		};
+	};
+
+
+	/**
+	 * Check if file stats are used to look up and record the file in the cache.  Files with contents transformed by beforeHash listeners aren't cached
+	 *
+	 * @private
+	 * @param {string|vinyl|object} file The path to the file or the file object
+	 * @param {object} options The options specified.  Uses cache
+	 * @return {boolean} Whether the file is cached
+	 */
+	var isCacheable = function(file, options) {
+		return options.cache && _.isString(file) && !hasBeforeHash(file);
+	};
+
+
+	/**
+	 * Get the settings that change the generated hash, recorded with the cached file stats
+	 *
+	 * @private
+	 * @param {object} options The options specified.  Uses hasher, encoding and length
+	 * @return {string} The hash settings
+	 */
+	var getHashSettings = function(options) {
+		return [options.hasher, options.encoding, options.length].join(':');
+	};
+
+
+	/**
+	 * Get digest of file from the asset library if the file hasn't changed since it was last hashed
+	 *
+	 * @private
+	 * @param {string} filePath The path to the file relative to base
+	 * @param {fs.Stats} stats The file stats
+	 * @param {object} options The options specified.  Uses force, hashKey, hasher, encoding, length and integrity
+	 * @return {object|null} The digest or null if the file has to be hashed
+	 */
+	var getCachedDigest = function(filePath, stats, options) {
+		var previous = assets[filePath];
+
+		if (options.force || !_.isObject(previous) || previous.mtime !== stats.mtimeMs || previous.size !== stats.size || !_.startsWith(previous.hash, options.hashKey)) {
+			return null;
+		}
+
+		if (previous.hashSettings !== getHashSettings(options)) {
+			return null;
+		}
+
+		// Integrity values missing from the entry have to be computed
+		var integrity = previous.integrity || '';
+		var missing = getIntegrityAlgorithms(options.integrity).some(function(algorithm) {
+			return integrity.indexOf(algorithm + '-') === -1;
+		});
+
+		return missing ? null : {
+			hash: previous.hash.slice(options.hashKey.length),
+			size: previous.size,
+			integrity: integrity
+		};
+	};
+
+
+	/**
+	 * Record cache hit or miss, and the modification time of the hashed file and the hash settings it was hashed with
+	 *
+	 * @private
+	 * @param {object} result The hash results
+	 * @param {fs.Stats|null} stats The file stats or null if the file isn't cached
+	 * @param {boolean} hit Whether the file was found in the cache
+	 * @param {object} options The options specified.  Uses cache, hasher, encoding and length
+	 */
+	var updateCache = function(result, stats, hit, options) {
+		if (!options.cache) {
+			return;
+		}
+
+		(hit ? cacheStats.hits : cacheStats.misses).push(result.original);
+
+		if (stats && assets[result.original]) {
+			result.mtime = assets[result.original].mtime = stats.mtimeMs;
+			result.hashSettings = assets[result.original].hashSettings = getHashSettings(options);
+		}
+	};
+
+
+	/**
+	 * Generate hashed file and keep original unhashed file or rename original unhashed
+	 *
+	 * @private
+	 * @param {string} file The file to hash
+	 * @param {object} options Options to use to hash the file
+	 * @param {array} planned List to add file operations to instead of running them in a dry run
+	 * @param {string} hash The hash to name the hashed file with instead of the hash of its contents.  Size and integrity are still taken from its contents
+	 * @return {object} Hash results
+	 */
+	var hashFile = function(file, options, planned, hash) {
+		var filePath = relativePath(file, options);
+		var stats = isCacheable(file, options) ? fs.statSync(file) : null;
+		var digest = stats ? getCachedDigest(filePath, stats, options) : null;
+		var hit = digest !== null;
+
+		if (!hit) {
+			if (hasBeforeHash(file)) {
+				file = transformContents(file, isFile(file) ? file.contents : fs.readFileSync(file), options);
+			}
+
+			digest = generateHash(file, options);
+		}
+
+		if (hash) {
+			digest = _.assign({}, digest, {hash: hash});
+		}
+
+		var plan = planFile(filePath, digest, options);
+		var operations;
+		var compressed;
+
+		updateCache(plan.result, stats, hit, options);
+
+		if (plan.pattern) {
+			operations = getOperations(plan.result, glob.sync(plan.pattern, {cwd: getOutputDir(options)}), options, getContents(file));
+			compressed = _.filter(operations, {type: 'compress'});
+
+			if (applyOperations(operations, options, planned)) {
+				addVariants(plan.result, compressed, compressed.map(function(operation) {
+					return fs.statSync(operation.to).size;
+				}));
+			}
+		}
+
+		emitter.emit('hashed', plan.result);
+
+		return plan.result;
+	};
+
+
+	/**
+	 * Generate hashed file asynchronously.  Resolves once the hashed file has been written
+	 *
+	 * @private
+	 * @param {string} file The file to hash
+	 * @param {object} options Options to use to hash the file
+	 * @param {array} planned List to add file operations to instead of running them in a dry run
+	 * @param {string} hash The hash to name the hashed file with instead of the hash of its contents.  Size and integrity are still taken from its contents
+	 * @return {Promise} Resolves with hash results
+	 */
+	var hashFileAsync = function(file, options, planned, hash) {
+		var filePath = relativePath(file, options);
+		var stats = null;
+		var hit = false;
+
+		return (isCacheable(file, options) ? promisify(fs.stat)(file) : Promise.resolve(null)).then(function(fileStats) {
+			var digest = fileStats ? getCachedDigest(filePath, fileStats, options) : null;
+
+			stats = fileStats;
+			hit = digest !== null;
+
+			if (hit) {
+				return digest;
+			}
+
+			var transformed = Promise.resolve(file);
+
+			if (hasBeforeHash(file)) {
+				transformed = (isFile(file) ? Promise.resolve(file.contents) : promisify(fs.readFile)(file)).then(function(contents) {
+					return transformContents(file, contents, options);
+				});
+			}
+
+			return transformed.then(function(source) {
+				file = source;
+
+				return generateHashAsync(file, options);
+			});
+		}).then(function(digest) {
+			var plan = planFile(filePath, hash ? _.assign({}, digest, {hash: hash}) : digest, options);
+
+			updateCache(plan.result, stats, hit, options);
+
+			if (!plan.pattern) {
+				return plan.result;
+			}
+
+			return promisify(glob)(plan.pattern, {cwd: getOutputDir(options)})
+				.then(function(oldFiles) {
+					var operations = getOperations(plan.result, oldFiles, options, getContents(file));
+					var compressed = _.filter(operations, {type: 'compress'});
+
+					return applyOperationsAsync(operations, options, planned).then(function(run) {
+						return run ? series(compressed, function(operation) {
+							return promisify(fs.stat)(operation.to).then(function(stats) {
+								return [stats.size];
+							});
+						}) : [];
+					}).then(function(sizes) {
+						if (sizes.length > 0) {
+							addVariants(plan.result, compressed, sizes);
+						}
+					});
+				})
+				.then(function() {
+					return plan.result;
+				});
+		}).then(function(result) {
+			emitter.emit('hashed', result);
+
+			return result;
+		});
+	};
+
+
+	/**
+	 * Report a warning.  Warnings are emitted as warning events, or thrown in strict mode
+	 *
+	 * @private
+	 * @param {Error} warning The warning
+	 * @param {object} options The options specified.  Uses strict
+	 */
+	var warn = function(warning, options) {
+		if (options.strict) {
+			throw warning;
+		}
+
+		emitter.emit('warning', warning);
+	};
+
+
+	/**
+	 * Get paths of directory entries to expand.  Dot directories aren't walked unless the dot option is set
+	 *
+	 * @private
+	 * @param {array} dirFiles The names of the entries in the directory
+	 * @param {string} dirPath The path to the directory
+	 * @param {object} options The options specified.  Uses dot
+	 * @return {array} Paths of the entries to expand
+	 */
+	var listDir = function(dirFiles, dirPath, options) {
+		return dirFiles.filter(function(dirFile) {
+			return options.dot || dirFile.charAt(0) !== '.';
+		}).map(function(dirFile) {
+			return path.join(dirPath, dirFile);
+		});
+	};
+
+
+	/**
+	 * Expand glob(s), directories and file objects into list of files to hash.  Dotfiles are skipped unless the dot option is set
+	 *
+	 * @private
+	 * @param {string|array} paths The path or array of paths to expand
+	 * @param {object} options The options specified.  Uses dot
+	 * @return {array} File paths and file objects
+	 */
+	var expandPaths = function(paths, options) {
+		var files = [];
+
+		if (!_.isArray(paths)) {
+			paths = [paths];
+		}
+
+		paths.forEach(function(filePaths) {
+			if (_.isString(filePaths)) {
+				var matches = glob.sync(filePaths, {dot: options.dot});
+
+				if (matches.length === 0) {
+					warn(new errors.NoMatchError(filePaths), options);
+				}
+
+				matches.forEach(function(filePath) {
+					var fileInfo = fs.lstatSync(filePath);
+
+					if (fileInfo.isDirectory()) {
+						files = files.concat(expandPaths(listDir(fs.readdirSync(filePath), filePath, options), options));
+					} else if (fileInfo.isFile()) {
+						files.push(filePath);
+					}
+				});
+			} else {
+				files.push(filePaths);
+			}
+		});
+
+		return files;
+	};
+
+
+	/**
+	 * Expand glob(s), directories and file objects into list of files to hash asynchronously.  Dotfiles are skipped unless the dot option is set
+	 *
+	 * @private
+	 * @param {string|array} paths The path or array of paths to expand
+	 * @param {object} options The options specified.  Uses dot
+	 * @return {Promise} Resolves with file paths and file objects
+	 */
+	var expandPathsAsync = function(paths, options) {
+		if (!_.isArray(paths)) {
+			paths = [paths];
+		}
+
+		return series(paths, function(filePaths) {
+			if (!_.isString(filePaths)) {
+				return [filePaths];
+			}
+
+			return promisify(glob)(filePaths, {dot: options.dot}).then(function(matches) {
+				if (matches.length === 0) {
+					warn(new errors.NoMatchError(filePaths), options);
+				}
+
+				return series(matches, function(filePath) {
+					return promisify(fs.lstat)(filePath).then(function(fileInfo) {
+						if (fileInfo.isDirectory()) {
+							return promisify(fs.readdir)(filePath).then(function(dirFiles) {
+								return expandPathsAsync(listDir(dirFiles, filePath, options), options);
+							});
+						}
+
+						return fileInfo.isFile() ? [filePath] : [];
+					});
+				});
+			});
+		});
+	};
+
+
+	/**
+	 * Hash file(s) based on path(s) provided.  Specified options will override same in config
+	 *
+	 * @private
+	 * @param {string|array} paths The path or array of paths to files to hash
+	 * @param {object} opt Options to use for specified files
+	 * @return {array|object} Single object for single file or array of objects for each file.  Object will have result of file hashing.  Returns the plan in a dry run
+	 */
+	var hashFiles = function(paths, opt) {
+		var options = _.clone(config);
+
+		// Set config options to use for this hash session
+		_.assign(options, opt);
+
+		ensureManifest(options);
+		cacheStats = {hits: [], misses: []};
+
+		var files = expandPaths(paths, options).filter(function(file) {
+			return isIncluded(file, options);
+		});
+		var contents = {};
+		var results = [];
+		var before = _.cloneDeep(assets);
+		var planned = [];
+		var sourceMaps = options.sourceMaps ? findSourceMaps(files, options) : {};
+
+		// Source maps are hashed with the file referencing them
+		files = withoutSourceMaps(files, sourceMaps);
+
+		// Read files that can reference other assets so they can be hashed after the assets they reference
+		if (options.cascade) {
+			files.forEach(function(file) {
+				var filePath = relativePath(file, options);
+
+				if (references.typeOf(filePath) !== null && !isStream(isFile(file) ? file.contents : null)) {
+					contents[filePath] = isFile(file) ? String(file.contents) : fs.readFileSync(file, 'utf8');
+				}
+			});
+		}
+
+		// Process files in dependency order, results are returned in the order files were specified
+		sortByReferences(files, contents, options).forEach(function(index) {
+			var file = cascadeFile(files[index], contents, options);
+			var sourceMap = sourceMaps[relativePath(files[index], options)];
+
+			results[index] = sourceMap ? hashWithSourceMap(file, sourceMap, options, planned) : hashFile(file, options, planned);
+		});
+
+		if (options.dryRun) {
+			return getDryRunPlan(before, results, planned, options);
+		}
+
+		return results.length > 1 ? results : results.shift();
+	};
+
+
+	/**
+	 * Hash file(s) based on path(s) provided asynchronously.  Specified options will override same in config
+	 *
+	 * @private
+	 * @param {string|array} paths The path or array of paths to files to hash
+	 * @param {object} opt Options to use for specified files
+	 * @return {Promise} Resolves with single object for single file or array of objects for each file once all hashed files are written.  Resolves with the plan in a dry run
+	 */
+	var hashFilesAsync = function(paths, opt) {
+		var options = _.clone(config);
+
+		// Set config options to use for this hash session
+		_.assign(options, opt);
+
+		var files = [];
+		var contents = {};
+		var results = [];
+		var before = {};
+		var planned = [];
+		var sourceMaps = {};
+
+		// Load manifest in the promise chain so a corrupt manifest rejects instead of throwing
+		return Promise.resolve()
+			.then(function() {
+				ensureManifest(options);
+				cacheStats = {hits: [], misses: []};
+				before = _.cloneDeep(assets);
+
+				return expandPathsAsync(paths, options);
+			})
+			.then(function(expanded) {
+				files = expanded.filter(function(file) {
+					return isIncluded(file, options);
+				});
+
+				return options.sourceMaps ? findSourceMapsAsync(files, options) : {};
+			})
+			.then(function(found) {
+				// Source maps are hashed with the file referencing them
+				sourceMaps = found;
+				files = withoutSourceMaps(files, sourceMaps);
+
+				if (!options.cascade) {
+					return;
+				}
+
+				// Read files that can reference other assets so they can be hashed after the assets they reference
+				return series(files, function(file) {
+					var filePath = relativePath(file, options);
+
+					if (references.typeOf(filePath) === null || isStream(isFile(file) ? file.contents : null)) {
+						return [];
+					}
+
+					return (isFile(file) ? Promise.resolve(String(file.contents)) : promisify(fs.readFile)(file, 'utf8')).then(function(fileContents) {
+						contents[filePath] = fileContents;
+						return [];
+					});
+				});
+			})
+			.then(function() {
+				// Files are hashed one after another so asset library updates and file operations don't race
+				return series(sortByReferences(files, contents, options), function(index) {
+					var file = cascadeFile(files[index], contents, options);
+					var sourceMap = sourceMaps[relativePath(files[index], options)];
+
+					return (sourceMap ? hashWithSourceMapAsync(file, sourceMap, options, planned) : hashFileAsync(file, options, planned)).then(function(result) {
+						results[index] = result;
+						return [];
+					});
+				});
+			})
+			.then(function() {
+				if (options.dryRun) {
+					return getDryRunPlan(before, results, planned, options);
+				}
+
+				return results.length > 1 ? results : results.shift();
+			});
+	};
+
+
+	/**
+	 * Get plan for a dry run and restore the asset library to what it was before hashing
+	 *
+	 * @private
+	 * @param {object} before Copy of the asset library before hashing
+	 * @param {array} results The hash results
+	 * @param {array} planned The file operations that would have been run
+	 * @param {object} options The options specified
+	 * @return {object} The plan.  Has the hash results as files, the planned file operations and the manifest diff
+	 */
+	var getDryRunPlan = function(before, results, planned, options) {
+		var after = assets;
+
+		assets = before;
+
+		return {
+			files: results.length > 1 ? results : results.shift(),
+			operations: describeOperations(planned, options.base),
+			manifest: diffAssets(before, after)
+		};
+	};
+
+
+	/**
+	 * Sort files so referenced assets are hashed before the files that reference them
+	 *
+	 * @private
+	 * @param {array} files File paths and file objects to sort
+	 * @param {object} contents Contents of files that can reference other assets keyed by path relative to base
+	 * @param {object} options The options specified
+	 * @return {array} Indexes of files in the order to hash them
+	 */
+	var sortByReferences = function(files, contents, options) {
+		var keys = files.map(function(file) {
+			return relativePath(file, options);
+		});
+		var visited = {};
+		var sorted = [];
+
+		var visit = function(index, trail) {
+			var filePath = keys[index];
+
+			if (visited[index]) {
+				return;
+			}
+
+			if (_.contains(trail, filePath)) {
+				throw new Error('Circular reference between assets: ' + trail.slice(trail.indexOf(filePath)).concat(filePath).join(' -> '));
+			}
+
+			if (_.has(contents, filePath)) {
+				references.find(contents[filePath], references.typeOf(filePath)).forEach(function(reference) {
+					var resolved = resolveReferencePath(reference.value, filePath, options);
+					var dependency = resolved ? keys.indexOf(resolved.path) : -1;
+
+					// A file can't contain its own hash so references to itself are ignored
+					if (dependency !== -1 && dependency !== index) {
+						visit(dependency, trail.concat(filePath));
+					}
+				});
+			}
+
+			visited[index] = true;
+			sorted.push(index);
+		};
+
+		keys.forEach(function(filePath, index) {
+			visit(index, []);
+		});
+
+		return sorted;
+	};
+
+
+	/**
+	 * Rewrite references in file contents to the hashed paths of the assets hashed so far
+	 *
+	 * @private
+	 * @param {string|vinyl|object} file The path to the file or the file object
+	 * @param {object} contents Contents of files that can reference other assets keyed by path relative to base
+	 * @param {object} options The options specified
+	 * @return {string|vinyl|object} File object with rewritten contents or the file if there was nothing to rewrite
+	 */
+	var cascadeFile = function(file, contents, options) {
+		var filePath = relativePath(file, options);
+
+		if (!_.has(contents, filePath)) {
+			return file;
+		}
+
+		var rewritten = references.rewrite(contents[filePath], references.typeOf(filePath), function(reference) {
+			return resolveReference(reference, filePath, options);
+		});
+
+		if (rewritten.replaced.length === 0) {
+			return file;
+		}
+
+		if (isFile(file)) {
+			file.contents = Buffer.from(rewritten.contents);
+			return file;
+		}
+
+		return {
+			path: path.resolve(file),
+			contents: Buffer.from(rewritten.contents)
+		};
+	};
+
+
+	/**
+	 * Find source map referenced by css or js file.  The source map must be one of the files to hash or exist on disk
+	 *
+	 * @private
+	 * @param {string|vinyl|object} file The path to the file or the file object
+	 * @param {string} fileContents The contents of the file
+	 * @param {array} files File paths and file objects to hash
+	 * @param {object} options The options specified
+	 * @return {object|null} The source map path or file object and the contents of the referencing file.  Null if there is no source map
+	 */
+	var getSourceMap = function(file, fileContents, files, options) {
+		var filePath = relativePath(file, options);
+		var comment = references.findSourceMap(fileContents);
+		var resolved = comment ? resolveReferencePath(comment.value, filePath, options) : null;
+
+		if (resolved === null) {
+			return null;
+		}
+
+		var mapFile = _.find(files, function(other) {
+			return relativePath(other, options) === resolved.path;
+		});
+
+		if (_.isUndefined(mapFile) && fs.existsSync(path.resolve(options.base, resolved.path))) {
+			mapFile = path.resolve(options.base, resolved.path);
+		}
+
+		return _.isUndefined(mapFile) ? null : {file: mapFile, contents: fileContents};
+	};
+
+
+	/**
+	 * Check if file can reference a source map
+	 *
+	 * @private
+	 * @param {string|vinyl|object} file The path to the file or the file object
+	 * @param {object} options The options specified
+	 * @return {boolean} Whether the file is a css or js file with contents that can be read more than once
+	 */
+	var canHaveSourceMap = function(file, options) {
+		return _.contains(['css', 'js'], references.typeOf(relativePath(file, options))) && !isStream(isFile(file) ? file.contents : null);
+	};
+
+
+	/**
+	 * Find source maps referenced by css and js files
+	 *
+	 * @private
+	 * @param {array} files File paths and file objects to hash
+	 * @param {object} options The options specified
+	 * @return {object} Source maps keyed by path of the referencing file relative to base
+	 */
+	var findSourceMaps = function(files, options) {
+		var sourceMaps = {};
+
+		files.filter(function(file) {
+			return canHaveSourceMap(file, options);
+		}).forEach(function(file) {
+			var sourceMap = getSourceMap(file, isFile(file) ? String(file.contents) : fs.readFileSync(file, 'utf8'), files, options);
+
+			if (sourceMap !== null) {
+				sourceMaps[relativePath(file, options)] = sourceMap;
+			}
+		});
+
+		return sourceMaps;
+	};
+
 
 	/**
-	 * Set this to false to skip saving hashed files.  Hashed filename will be generated and added to asset library but not saved to file system.
-	 * The reason for this feature is to allow build scripts like gulp to write the files themselves.
-	 * @type {boolean}
+	 * Find source maps referenced by css and js files asynchronously
+	 *
+	 * @private
+	 * @param {array} files File paths and file objects to hash
+	 * @param {object} options The options specified
+	 * @return {Promise} Resolves with source maps keyed by path of the referencing file relative to base
 	 */
-	config.save = true;
+	var findSourceMapsAsync = function(files, options) {
+		var sourceMaps = {};
+
+		return series(files.filter(function(file) {
+			return canHaveSourceMap(file, options);
+		}), function(file) {
+			return (isFile(file) ? Promise.resolve(String(file.contents)) : promisify(fs.readFile)(file, 'utf8')).then(function(fileContents) {
+				var sourceMap = getSourceMap(file, fileContents, files, options);
+
+				if (sourceMap !== null) {
+					sourceMaps[relativePath(file, options)] = sourceMap;
+				}
+
+				return [];
+			});
+		}).then(function() {
+			return sourceMaps;
+		});
+	};
+
 
 	/**
-	 * Template for hashed filename
-	 * @type {string}
+	 * Remove source maps that are hashed with the file referencing them from the files to hash
+	 *
+	 * @private
+	 * @param {array} files File paths and file objects to hash
+	 * @param {object} sourceMaps Source maps keyed by path of the referencing file
+	 * @return {array} Files to hash on their own
 	 */
-	config.template = '<%= name %>-<%= hash %>.<%= ext %>';
+	var withoutSourceMaps = function(files, sourceMaps) {
+		var mapFiles = _.pluck(_.values(sourceMaps), 'file');
+
+		return files.filter(function(file) {
+			return !_.contains(mapFiles, file);
+		});
+	};
 
 
 	/**
-	 * Check if file is a vinyl file or file object.  To be a file object, the following properties are required: path, contents
+	 * Rewrite sourceMappingURL comment to hashed source map
 	 *
 	 * @private
-	 * @param {vinyl|object} file The object to check to see if it's a valid file
-	 * @return {boolean} Whether file is a valid file object
+	 * @param {string|vinyl|object} file The path to the file or the file object
+	 * @param {string} fileContents The contents of the file
+	 * @param {string} mapPath The hashed path of the source map
+	 * @param {object} options The options specified
+	 * @return {string|vinyl|object} The file or a file object with the rewritten contents
 	 */
-	var isFile = function(file) {
-		return  !_.isString(file) && !_.isUndefined(file.path) && !_.isUndefined(file.contents) ? true : false;
+	var rewriteSourceMapUrl = function(file, fileContents, mapPath, options) {
+		var filePath = relativePath(file, options);
+		var comment = references.findSourceMap(fileContents);
+
+		fileContents = fileContents.slice(0, comment.index) + getReferenceUrl(resolveReferencePath(comment.value, filePath, options), mapPath, filePath, options) +
+			fileContents.slice(comment.index + comment.value.length);
+
+		if (isFile(file)) {
+			file.contents = Buffer.from(fileContents);
+			return file;
+		}
+
+		return {
+			path: path.resolve(file),
+			contents: Buffer.from(fileContents)
+		};
 	};
 
 
 	/**
-	 * Load assets from manifest if present
+	 * Set file property of source map to the hashed file
 	 *
 	 * @private
+	 * @param {string|vinyl|object} mapFile The path to the source map or the file object
+	 * @param {string} mapContents The contents of the source map
+	 * @param {object} result The hash result of the file
 	 * @param {object} options The options specified
-	 * @return {boolean} Whether the manifest was loaded
+	 * @return {vinyl|object} The source map file object with the rewritten contents
 	 */
-	var loadManifest = function(opt) {
-		var options = _.clone(config);
-		_.assign(options, opt);
+	var rewriteSourceMapFile = function(mapFile, mapContents, result, options) {
+		var map;
 
 		try {
-			var manifestPath = path.join(options.path, options.manifest);
+			map = JSON.parse(mapContents);
+		}
+		catch(e) {
+			throw new Error('Invalid source map: ' + relativePath(mapFile, options));
+		}
 
-			if (!_.isEmpty(manifestPath)) {
-				assets = require(path.join(process.cwd(), manifestPath)) || {};
-				return true;
-			}
+		map.file = path.basename(result.path);
+
+		if (isFile(mapFile)) {
+			mapFile.contents = Buffer.from(JSON.stringify(map));
+			return mapFile;
 		}
-		catch(e) {}
 
-		return false;
+		return {
+			path: path.resolve(mapFile),
+			contents: Buffer.from(JSON.stringify(map))
+		};
+	};
+
+
+	/**
+	 * Get file object to generate the hash of a source map from.  The hashed source map contains the hashed path of the file and the hashed file
+	 * contains the hashed path of the source map, so neither can be hashed from its own written contents.  The source map is hashed from its
+	 * contents and the contents of the file instead, so both hashed paths change whenever either file changes
+	 *
+	 * @private
+	 * @param {string|vinyl|object} mapFile The path to the source map or the file object
+	 * @param {string} mapContents The contents of the source map
+	 * @param {string} fileContents The contents of the file referencing the source map
+	 * @return {object} The file object to hash
+	 */
+	var getSourceMapHashSource = function(mapFile, mapContents, fileContents) {
+		return {
+			path: isFile(mapFile) ? mapFile.path : path.resolve(mapFile),
+			contents: Buffer.from(mapContents + fileContents)
+		};
 	};
 
 
 	/**
-	 * Generate hash based on contents
+	 * Link file and its source map in the asset library
 	 *
 	 * @private
-	 * @param {string} contents File contents for file to hash
-	 * @param {string} hash The has type to use
-	 * @param {number} length The length of the hash
-	 * @return {string} The generated hash
+	 * @param {object} result The hash result of the file
+	 * @param {object} mapResult The hash result of the source map
 	 */
-	var generateHash = function(contents, hash, length) {
-		if (contents) {
-			return crypto.createHash(hash).update(contents).digest('hex').slice(0, length);
+	var linkSourceMap = function(result, mapResult) {
+		result.sourceMap = mapResult.original;
+		mapResult.source = result.original;
+
+		if (assets[result.original]) {
+			assets[result.original].sourceMap = mapResult.original;
 		}
 
-		return '';
+		if (assets[mapResult.original]) {
+			assets[mapResult.original].source = result.original;
+		}
 	};
 
 
 	/**
-	 * Generate hashed file and keep original unhashed file or rename original unhashed
+	 * Hash css or js file together with its source map.  The hashed path of the source map is worked out first so the file can reference it.  The
+	 * source map is written once the hashed path of the file is known, so its size, integrity values and compressed variants match what is written
 	 *
 	 * @private
-	 * @param {string} file The file to hash
-	 * @param {object} options Options to use to hash the file
-	 * @param {boolean} keepOriginal Whether to keep unhashed original file or hash original file
-	 * @return {object} Hash results
+	 * @param {string|vinyl|object} file The file to hash
+	 * @param {object} sourceMap The source map path or file object and the contents of the file
+	 * @param {object} options Options to use to hash the files
+	 * @param {array} planned List to add file operations to instead of running them in a dry run
+	 * @return {object} Hash results of the file
 	 */
-	var hashFile = function(file, options) {
-		var contents = '';
-		var filePath = '';
-		var patterns = [];
+	var hashWithSourceMap = function(file, sourceMap, options, planned) {
+		var fileContents = isFile(file) ? String(file.contents) : sourceMap.contents;
+		var mapContents = isFile(sourceMap.file) ? String(sourceMap.file.contents) : fs.readFileSync(sourceMap.file, 'utf8');
+		var mapHash = generateHash(getSourceMapHashSource(sourceMap.file, mapContents, fileContents), options).hash;
+		var mapPath = getHashedPath(relativePath(sourceMap.file, options), options.hashKey + mapHash, options);
+		var result = hashFile(rewriteSourceMapUrl(file, fileContents, mapPath, options), options, planned);
+		var mapResult = hashFile(rewriteSourceMapFile(sourceMap.file, mapContents, result, options), options, planned, mapHash);
 
-		// Get file contents and path
-		if (isFile(file)) {
-			contents = Buffer.isBuffer(file.contents) ? file.contents.toString() : file.contents;
-			filePath = path.relative(options.base, file.path);
-		} else {
-			contents = fs.readFileSync(file);
-			filePath = path.relative(options.base, file);
+		linkSourceMap(result, mapResult);
+
+		return result;
+	};
+
+
+	/**
+	 * Hash css or js file together with its source map asynchronously
+	 *
+	 * @private
+	 * @param {string|vinyl|object} file The file to hash
+	 * @param {object} sourceMap The source map path or file object and the contents of the file
+	 * @param {object} options Options to use to hash the files
+	 * @param {array} planned List to add file operations to instead of running them in a dry run
+	 * @return {Promise} Resolves with hash results of the file
+	 */
+	var hashWithSourceMapAsync = function(file, sourceMap, options, planned) {
+		var fileContents = isFile(file) ? String(file.contents) : sourceMap.contents;
+		var mapContents;
+		var mapHash;
+		var result;
+
+		return (isFile(sourceMap.file) ? Promise.resolve(String(sourceMap.file.contents)) : promisify(fs.readFile)(sourceMap.file, 'utf8')).then(function(contents) {
+			mapContents = contents;
+
+			return generateHashAsync(getSourceMapHashSource(sourceMap.file, mapContents, fileContents), options);
+		}).then(function(digest) {
+			var mapPath = getHashedPath(relativePath(sourceMap.file, options), options.hashKey + digest.hash, options);
+
+			mapHash = digest.hash;
+
+			return hashFileAsync(rewriteSourceMapUrl(file, fileContents, mapPath, options), options, planned);
+		}).then(function(hashed) {
+			result = hashed;
+
+			return hashFileAsync(rewriteSourceMapFile(sourceMap.file, mapContents, result, options), options, planned, mapHash);
+		}).then(function(mapResult) {
+			linkSourceMap(result, mapResult);
+
+			return result;
+		});
+	};
+
+
+	/**
+	 * Resolve a reference found in a file to the referenced file.  References are resolved from the referencing file's directory, or from base if they start with / or the public path
+	 *
+	 * @private
+	 * @param {string} reference The reference value
+	 * @param {string} filePath The path to the referencing file relative to base
+	 * @param {object} options The options specified
+	 * @return {object|null} The referenced file path relative to base, the url and query/hash suffix.  Null for external urls, data uris and anchors
+	 */
+	var resolveReferencePath = function(reference, filePath, options) {
+		var parts = reference.match(/^([^?#]*)(.*)$/);
+		var url = parts[1];
+		var fromBase = false;
+
+		// Skip external urls, data uris and anchors
+		if (url === '' || /^([a-z][a-z0-9+.\-]*:|\/\/)/i.test(url)) {
+			return null;
 		}
 
-		// Get file name details
-		var ext 		= path.extname(filePath);
-		var name		= path.basename(filePath, ext);
-		var dirPath		= path.dirname(filePath);
+		if (options.publicPath && url.indexOf(options.publicPath) === 0) {
+			url = url.slice(options.publicPath.length);
+			fromBase = true;
+		} else if (url.charAt(0) === '/') {
+			fromBase = true;
+		}
 
-		// Initialize results object
-		var result 		= {
-			hashed: false,
-			hash: '',
-			original: filePath,
-			path: filePath,
-			type: ext.replace('.', '')
+		return {
+			path: fromBase ? path.normalize(url.replace(/^\/+/, '')) : path.join(path.dirname(filePath), url),
+			fromBase: fromBase,
+			url: url,
+			suffix: parts[2]
 		};
+	};
 
-		// If this is a hashed file, return.  Nothing else to do here
-		var hashedVersion = _.isString(filePath) && filePath.indexOf(options.hashKey) === -1 ? false : true;
-
-		if (!hashedVersion) {
-			var originalPath = result.original;
 
-			// If file was already hashed, get old hash
-			if (assets[originalPath]) {
-				result.hashed = assets[originalPath].hashed;
-				result.hash = assets[originalPath].hash;
-				result.path = assets[originalPath].path;
-			} else {
-				result.hashed = true;
-			}
+	/**
+	 * Get hashed url for a reference found in a file
+	 *
+	 * @private
+	 * @param {string} reference The reference value
+	 * @param {string} filePath The path to the referencing file relative to base
+	 * @param {object} options The options specified
+	 * @return {string|null} The hashed url or null if reference isn't in the asset library
+	 */
+	var resolveReference = function(reference, filePath, options) {
+		var resolved = resolveReferencePath(reference, filePath, options);
+		var asset = resolved ? assets[resolved.path] : null;
 
-			// Generate hash from content
-			var newHash = options.hashKey + generateHash(contents, options.hasher, options.length);
+		if (!_.isObject(asset) || asset.path === asset.original) {
+			return null;
+		}
 
-			// If hash was generated
-			if (result.hash !== newHash) {
-				result.hash =  newHash;
-				result.path = path.relative(options.base, path.join(dirPath, _.template(options.template)({
-					name: name,
-					hash: result.hash,
-					ext: result.type
-				})));
+		return getReferenceUrl(resolved, asset.path, filePath, options);
+	};
 
-				// Pattern to match previously hashed files
-				patterns.push(path.join(dirPath, _.template(options.template)({
-					name: name,
-					hash: '==HASHREGEX==',
-					ext: result.type
-				})).replace('==HASHREGEX==', options.hashKey + '*'));
-
-				// Find any previously hashed file versions
-				var hashedOldFiles = glob.sync(patterns.join('|'));
-
-				// Delete old hash file(s)
-				hashedOldFiles.forEach(function(filePath) {
-					fs.unlinkSync(filePath);
-				});
 
-				// Create new hashed file unless instructed to skip
-				if (options.save) {
-					fs.createReadStream(originalPath).pipe(fs.createWriteStream(result.path));
-				}
+	/**
+	 * Get url of hashed file for a resolved reference.  Keeps the reference relative or from base as it was written unless publicPath is set
+	 *
+	 * @private
+	 * @param {object} resolved The resolved reference
+	 * @param {string} hashedPath The hashed path of the referenced file
+	 * @param {string} filePath The path to the referencing file relative to base
+	 * @param {object} options The options specified.  Uses publicPath
+	 * @return {string} The hashed url
+	 */
+	var getReferenceUrl = function(resolved, hashedPath, filePath, options) {
+		var assetUrl = hashedPath.split(path.sep).join('/');
 
-				// Remove original file if necessary
-				if (options.replace) {
-					fs.unlinkSync(originalPath);
-				}
+		if (options.publicPath) {
+			assetUrl = options.publicPath.replace(/\/+$/, '') + '/' + assetUrl;
+		} else if (resolved.fromBase) {
+			assetUrl = '/' + assetUrl;
+		} else {
+			assetUrl = path.relative(path.dirname(filePath), hashedPath).split(path.sep).join('/');
 
-				// Add file to or update asset library
-				assets[originalPath] = result;
+			// Keep explicit relative references relative, import specifiers depend on it
+			if (/^\.\.?\//.test(resolved.url) && assetUrl.charAt(0) !== '.') {
+				assetUrl = './' + assetUrl;
 			}
 		}
 
-		return result;
+		return assetUrl + resolved.suffix;
 	};
 
 
 	/**
-	 * Hash file(s) based on path(s) provided.  Specified options will override same in config
+	 * Rewrite references to hashed assets in css, html and js file(s).  Original files are never changed, as the asset library can only resolve
+	 * references to original paths.  The hashed copy of a file in the asset library is rewritten, other files are written to dest if set and vinyl
+	 * file contents are replaced
 	 *
 	 * @private
-	 * @param {string|array} paths The path or array of paths to files to hash
+	 * @param {string|array} paths The path or array of paths to files to rewrite
 	 * @param {object} opt Options to use for specified files
-	 * @return {array|object} Single object for single file or array of objects for each file.  Object will have result of file hashing
+	 * @return {array|object} Single object for single file or array of objects for each file.  Object has the file path, the references replaced,
+	 * the rewritten contents and the path the rewritten file was written to or null
 	 */
-	var hashFiles = function(paths, opt) {
+	var rewriteReferences = function(paths, opt) {
 		var options = _.clone(config);
-		var results = [];
 
-		// Set config options to use for this hash session
 		_.assign(options, opt);
 
-		if (!_.isArray(paths)) {
-			paths = [paths];
-		}
-
-		loadManifest(options);
-
-		// Process files for each path
-		paths.forEach(function(filePaths) {
-			if (_.isString(filePaths)) {
-				filePaths = glob.sync(filePaths);
+		var results = expandPaths(paths, options).filter(function(file) {
+			return references.typeOf(isFile(file) ? file.path : file) !== null;
+		}).map(function(file) {
+			var sourcePath = isFile(file) ? file.path : file;
+			var filePath = path.relative(options.base, sourcePath);
+			var contents = isFile(file) ? file.contents.toString() : fs.readFileSync(file, 'utf8');
 
-				filePaths.forEach(function(filePath) {
-					var fileInfo = fs.lstatSync(filePath);
+			var rewritten = references.rewrite(contents, references.typeOf(sourcePath), function(reference) {
+				return resolveReference(reference, filePath, options);
+			});
 
-					if (fileInfo.isDirectory()) {
-						var dirFiles = fs.readdirSync(filePath);
+			// The hashed copy is what gets served, so it is rewritten instead of writing the unhashed path to dest
+			var hashedPath = _.has(assets, filePath) && assets[filePath].path !== filePath ? assets[filePath].path : null;
+			var outputPath = path.join(getOutputDir(options), hashedPath || filePath);
+			var written = !isFile(file) && (!!hashedPath || !!options.dest) && path.resolve(outputPath) !== path.resolve(sourcePath);
 
-						dirFiles.forEach(function(dirFile) {
-							var curPath = path.join(filePath, dirFile);
-							var curFileInfo = fs.lstatSync(curPath);
+			if (isFile(file) && rewritten.replaced.length > 0) {
+				file.contents = Buffer.from(rewritten.contents);
+			}
 
-							if (curFileInfo.isDirectory()) {
-								results = results.concat(hashFiles(curPath, options));
-							} else if (curFileInfo.isFile()) {
-								results.push(hashFile(curPath, options));
-							}
-						});
-					} else if (fileInfo.isFile()) {
-						results.push(hashFile(filePath, options));
-					}
-				});
-			} else {
-				results.push(hashFile(filePaths, options));
+			// The directory structure under base is mirrored in dest so relative references still resolve
+			if (written) {
+				written = applyOperations([
+					{type: 'mkdir', path: path.dirname(outputPath)},
+					{type: 'write', to: outputPath, contents: rewritten.contents}
+				], options);
 			}
+
+			return {
+				file: filePath,
+				references: rewritten.replaced,
+				contents: rewritten.contents,
+				output: written ? outputPath : null
+			};
 		});
 
 		return results.length > 1 ? results : results.shift();
 	};
 
-	return {
+
+	// Apply options specified for this instance.  They are validated like set() once the hash functions are defined
+	validateHasher(opt);
+	_.assign(config, opt);
+
+
+	// The hasher is an event emitter.  Listen for beforeHash, hashed, write, delete, manifestLoad and manifestSave events
+	return _.assign(emitter, {
 
 		/**
 		 * Update configuration options
@@ -309,6 +2765,7 @@ var AssetHasher = function() {
 		 * @param {object} options Config options to add or update
 		 */
 		set: function(options) {
+			validateHasher(options);
 			_.assign(config, options);
 		},
 
@@ -340,6 +2797,177 @@ var AssetHasher = function() {
 		},
 
 
+		/**
+		 * Hash file(s) based on path(s) provided asynchronously.  Specified options will override same in config
+		 *
+		 * @param {string|array} paths The path or array of paths to files to hash
+		 * @param {object} opt Options to use for specified files
+		 * @return {Promise} Resolves once every hashed file is written.  Rejects if a file can't be read, copied or deleted
+		 */
+		hashFilesAsync: function(paths, opt) {
+			return hashFilesAsync(paths, opt);
+		},
+
+
+		/**
+		 * Create object mode transform stream for gulp.  Vinyl files are renamed to their hashed paths and the manifest is emitted as a vinyl file when the stream ends.
+		 * Hashed files aren't saved and original files aren't removed unless the save and replace options are set
+		 *
+		 * @param {object} opt Options to use for streamed files.  Set originals to true to also pass through the original files
+		 * @return {stream.Transform} The transform stream
+		 */
+		stream: function(opt) {
+			var options = _.assign(_.clone(config), {save: false, replace: false}, opt);
+
+			ensureManifest(options);
+
+			return createStream(function(file) {
+				return isIncluded(file, options) ? hashFileAsync(file, options) : Promise.resolve(null);
+			}, function() {
+				return serializeManifest(options);
+			}, options);
+		},
+
+
+		/**
+		 * Watch file(s) and rehash added or changed files.  Deleted files are removed from the asset library along with their hashed file.  The manifest is saved after each batch of changes
+		 *
+		 * @param {string|array} globs The glob or array of globs to watch
+		 * @param {object} opt Options to use for watched files.  Set debounce to the number of milliseconds to wait for more changes before hashing (default 100)
+		 * @return {EventEmitter} Watcher emitting ready, hashed, removed, manifest and error events.  Call close() to stop watching
+		 */
+		watch: function(globs, opt) {
+			var options = _.assign(_.clone(config), {debounce: 100}, opt);
+			ensureManifest(options);
+
+			return createWatcher(globs, {
+				hash: function(files) {
+					return hashFilesAsync(files, options).then(function(results) {
+						return _.isUndefined(results) ? [] : [].concat(results);
+					});
+				},
+
+				remove: function(files) {
+					// Originals are deleted by the hasher itself when replacing them, their hashed files must be kept
+					if (options.replace) {
+						return Promise.resolve([]);
+					}
+
+					return Promise.resolve(_.compact(files.map(function(file) {
+						return removeAsset(relativePath(file, options), options);
+					})));
+				},
+
+				save: function() {
+					saveManifest(options);
+				}
+			}, {
+				debounce: options.debounce,
+
+				// Skip hashed files and the manifest so saving them doesn't trigger another batch
+				ignored: function(filePath) {
+					return isGenerated(filePath, options);
+				}
+			});
+		},
+
+
+		/**
+		 * Create view helpers to emit urls and tags for hashed assets.  Helpers look up the current asset library each time they are called
+		 *
+		 * @param {object} opt Options to use.  Set publicPath to prefix urls, for example with a CDN url, and crossorigin to the crossorigin attribute
+		 * added to tags with integrity values (default anonymous)
+		 * @return {object} The helpers.  assetUrl, scriptTag, styleTag and imgTag, and registerHandlebars and registerLodash to add them to template engines
+		 */
+		helpers: function(opt) {
+			var options = _.assign(_.clone(config), {crossorigin: 'anonymous'}, opt);
+
+			return createHelpers(function(original) {
+				var asset = assets[path.normalize(original.replace(/^\/+/, '').split('/').join(path.sep))];
+
+				return _.isObject(asset) ? asset : null;
+			}, options);
+		},
+
+
+		/**
+		 * Create connect/express middleware to serve hashed files.  Also works as the request handler of a plain node http server.  The manifest is
+		 * reloaded when the manifest file changes
+		 *
+		 * @param {object} opt Options to use.  Set prefix to the url path assets are served from (default the path of publicPath or /), originals to
+		 * redirect (default), rewrite or false and cacheControl to the Cache-Control header of hashed paths
+		 * @return {function} The middleware function(req, res, next)
+		 */
+		middleware: function(opt) {
+			var options = _.assign(_.clone(config), {originals: 'redirect', cacheControl: createMiddleware.immutable}, opt);
+			var loaded = null;
+
+			if (_.isUndefined(options.prefix)) {
+				options.prefix = url.parse(options.publicPath || '/').pathname || '/';
+			}
+
+			// Request paths are matched relative to the prefix
+			if (!_.endsWith(options.prefix, '/')) {
+				options.prefix += '/';
+			}
+
+			return createMiddleware({
+				find: function(filePath) {
+					return findServedAsset(filePath, options);
+				},
+
+				reload: function() {
+					var manifestPath = getManifestPath(options);
+
+					if (manifestPath === '') {
+						return Promise.resolve();
+					}
+
+					return promisify(fs.stat)(manifestPath).then(function(stats) {
+						var version = stats.mtimeMs + ':' + stats.size;
+
+						// A manifest that is being written may not parse yet.  Keep serving the current asset library and try again on the next request
+						if (version !== loaded) {
+							try {
+								loadManifest(options);
+								loaded = version;
+							}
+							catch(e) {
+								emitter.emit('warning', e);
+							}
+						}
+					}, _.noop);
+				}
+			}, options);
+		},
+
+
+		/**
+		 * Rewrite references to hashed assets in css, html and js file(s).  Original files are left as is, rewritten files are written to dest if set
+		 *
+		 * @param {string|array} paths The path or array of paths to files to rewrite
+		 * @param {object} opt Options to use for specified files
+		 * @return {array|object} Single object for single file or array of objects for each file.  Object has the file path, the references replaced,
+		 * the rewritten contents and the path the rewritten file was written to or null
+		 */
+		rewriteReferences: function(paths, opt) {
+			return rewriteReferences(paths, opt);
+		},
+
+
+		/**
+		 * Delete expired versions of hashed files and hashed files whose original file no longer exists.  Orphans are removed from the asset library.
+		 * The manifest isn't saved, call saveManifest to save the cleaned asset library
+		 *
+		 * @param {object} opt Options to use.  Set keep and maxAge to override the retention policy.  Set all to true to delete the hashed files,
+		 * versions and compressed variants of every asset and empty the asset library
+		 * @return {array} Paths of deleted files relative to the output directory
+		 */
+		clean: function(opt) {
+			return clean(opt);
+		},
+
+
 		/**
 		 * Load assets from manifest if present
 		 *
@@ -413,24 +3041,63 @@ var AssetHasher = function() {
 		 * @param {object} opt Options to configure the manifest file generated
 		 */
 		saveManifest: function(opt) {
-			var options = _.clone(config);
+			saveManifest(opt);
+		},
+
+
+		/**
+		 * Register custom hash function.  Use its name as the hasher option
+		 *
+		 * @param {string} name The name of the hasher
+		 * @param {function} fn Function(contents, file) returning the hash as a string or a buffer to encode.  Contents is a buffer and file is the path or file object hashed
+		 */
+		registerHasher: function(name, fn) {
+			if (!_.isString(name) || name === '' || !_.isFunction(fn)) {
+				throw new Error('Register a hasher with a name and a hash function');
+			}
+
+			hashers[name] = fn;
+		},
+
 
-			_.assign(options, opt);
+		/**
+		 * Compare manifests of two builds, for example the last release and the current build
+		 *
+		 * @param {string|object} before The path to the earlier manifest file or its asset library
+		 * @param {string|object} after The path to the later manifest file or its asset library.  Defaults to the asset library of this hasher
+		 * @param {object} opt Options to use.  Set format to read manifest files in another format
+		 * @return {object} Entries that were added, removed, rehashed and unchanged keyed by original file.  Each has the old (from) and new (to)
+		 * hashed path, or null if there is none
+		 */
+		diffManifests: function(before, after, opt) {
+			var options = _.assign(_.clone(config), opt);
 
-			if (options.manifest !== false && (typeof options.manifest === 'string' && options.manifest !== ''))
-				fs.writeFileSync(path.join(options.path, options.manifest), JSON.stringify(assets));
+			return diffManifests(readManifestFile(before, options), _.isUndefined(after) ? _.cloneDeep(assets) : readManifestFile(after, options));
 		},
 
 
 		/**
 		 * Get list of valid hashers
 		 *
-		 * @return {array} List of available hashers
+		 * @return {array} List of available hashers.  Node crypto algorithms followed by registered hash functions
 		 */
 		getHashers: function() {
-			return crypto.getHashes();
+			return crypto.getHashes().concat(_.keys(hashers));
+		},
+
+
+		/**
+		 * Get cache hits and misses of the last hashFiles or hashFilesAsync call with the cache option set
+		 *
+		 * @return {object} Lists of original paths of files found in the cache (hits) and files that were read and hashed (misses)
+		 */
+		getCacheStats: function() {
+			return {
+				hits: cacheStats.hits.slice(),
+				misses: cacheStats.misses.slice()
+			};
 		}
-	};
+	});
 
 };
 
@@ -439,3 +3106,21 @@ var AssetHasher = function() {
  * Export
  */
 module.exports = AssetHasher();
+
+
+/**
+ * Create a new asset hasher.  Each hasher has its own config and asset library so separate pipelines don't clobber each other
+ *
+ * @param {object} options Config options for the new hasher
+ * @return {object} The new asset hasher
+ */
+module.exports.create = function(options) {
+	return AssetHasher(options);
+};
+
+
+/**
+ * Error types thrown by asset hasher
+ * @type {object}
+ */
+module.exports.errors = errors;
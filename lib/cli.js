@@ -0,0 +1,508 @@
+/**
+ * Command line interface for hashing assets and managing the asset manifest
+ */
+
+var _			= require('lodash');
+var	fs			= require('fs');
+var	hasher		= require('../');
+var minimist	= require('minimist');
+var	path		= require('path');
+
+
+/**
+ * Exit codes
+ * @type {object}
+ */
+var exitCodes = {
+	ok: 0,
+	error: 1,
+	usage: 2
+};
+
+
+/**
+ * Name of project config file read from the current working directory
+ * @type {string}
+ */
+var configFile = '.asset_hashrc';
+
+
+/**
+ * Options that can be switched on with a bare flag or set to one or more of these values, for example --compress or --compress gzip,brotli
+ * @type {object}
+ */
+var valueFlags = {
+	compress: ['gzip', 'brotli'],
+	integrity: ['sha256', 'sha384', 'sha512']
+};
+
+
+/**
+ * Usage information
+ * @type {string}
+ */
+var usage = [
+	'Usage: asset_hash <command> [options]',
+	'',
+	'Commands:',
+	'  hash <globs...>      Hash files and save the manifest',
+	'  manifest show        Print the manifest',
+	'  lookup <original>    Print the hashed path for an original file',
+	'  clean                Remove hashed files in the manifest and the manifest file',
+	'  clean --expired      Remove expired versions and orphaned hashed files and save the manifest',
+	'  diff <old> [new]     Compare manifest files, new defaults to the manifest.  Add --json for JSON output',
+	'',
+	'Options:',
+	'  --base <dir>         Base directory for assets',
+	'  --dest <dir>         Directory to write hashed files to instead of next to the originals',
+	'  --hasher <name>      Hash algorithm',
+	'  --encoding <name>    Hash encoding: hex, base36 or base64url',
+	'  --hash-key <key>     Key prepended to each hash',
+	'  --length <n>         Length of the hash',
+	'  --template <tpl>     Template for hashed filenames',
+	'  --replace            Replace original files',
+	'  --compress [names]   Write compressed variants of hashed files: gzip and/or brotli, comma separated.  Both if none given',
+	'  --integrity [algs]   Record integrity values: sha256, sha384 and/or sha512, comma separated.  sha384 if none given',
+	'  --dry-run            Print the file operations and manifest changes without making them',
+	'  --strict             Fail if a glob matches no files',
+	'  --cache              Skip hashing files whose modification time and size are unchanged',
+	'  --force              Hash every file even if it\'s unchanged according to the cache',
+	'  --no-save            Don\'t write hashed files',
+	'  --manifest <file>    Manifest filename, --no-manifest to skip saving it',
+	'  --path <dir>         Directory to save the manifest in',
+	'  --keep <n>           Number of previously hashed versions to keep',
+	'  --max-age <ms>       Keep previously hashed versions replaced less than this long ago',
+	'  --watch              Keep watching files and rehash them as they change',
+	'  --debounce <ms>      Milliseconds to wait for more changes before rehashing',
+	'  --config <file>      Config file to use instead of ' + configFile,
+	'  --help               Show this message',
+	''
+].join('\n');
+
+
+/**
+ * Error for invalid command line usage
+ *
+ * @private
+ * @param {string} message The error message
+ */
+var UsageError = function(message) {
+	this.name = 'UsageError';
+	this.message = message;
+};
+
+UsageError.prototype = Object.create(Error.prototype);
+UsageError.prototype.constructor = UsageError;
+
+
+/**
+ * Read config from config file.  Uses the specified file, or .asset_hashrc or the asset_hash key in package.json in the current working directory
+ *
+ * @private
+ * @param {string} file The config file specified on the command line
+ * @return {object} The config options
+ */
+var readConfig = function(file) {
+	if (file) {
+		return JSON.parse(fs.readFileSync(file, 'utf8'));
+	}
+
+	if (fs.existsSync(configFile)) {
+		return JSON.parse(fs.readFileSync(configFile, 'utf8'));
+	}
+
+	if (fs.existsSync('package.json')) {
+		return JSON.parse(fs.readFileSync('package.json', 'utf8')).asset_hash || {};
+	}
+
+	return {};
+};
+
+
+/**
+ * Join options that take a value with the value following them, so --compress gzip becomes --compress=gzip.  Options without a valid value are
+ * switched on instead, so --compress src/* keeps src/* as an argument
+ *
+ * @private
+ * @param {array} argv The command line arguments
+ * @return {array} The command line arguments with the values joined
+ */
+var joinValueFlags = function(argv) {
+	var joined = [];
+
+	for (var i = 0; i < argv.length; i++) {
+		var key = _.camelCase(String(argv[i]).replace(/^--/, ''));
+		var next = argv[i + 1];
+
+		if (!/^--[^=]+$/.test(argv[i]) || !_.has(valueFlags, key)) {
+			joined.push(argv[i]);
+		} else if (_.isString(next) && _.difference(next.split(','), valueFlags[key]).length === 0) {
+			joined.push(argv[i] + '=' + next);
+			i++;
+		} else {
+			joined.push(argv[i] + '=true');
+		}
+	}
+
+	return joined;
+};
+
+
+/**
+ * Get value of option that takes a value.  Comma separated values are split into an array
+ *
+ * @private
+ * @param {*} value The parsed value
+ * @return {*} The option value
+ */
+var parseValueFlag = function(value) {
+	if (!_.isString(value)) {
+		return value;
+	}
+
+	if (value === 'true' || value === 'false') {
+		return value === 'true';
+	}
+
+	return value.indexOf(',') === -1 ? value : value.split(',');
+};
+
+
+/**
+ * Parse command line arguments.  Every config option can be set with a flag, either as --hashKey or --hash-key
+ *
+ * @private
+ * @param {array} argv The command line arguments
+ * @return {object} The command, its arguments and the options to use
+ */
+var parseArgs = function(argv) {
+	var config = readConfig(minimist(argv, {string: ['config']}).config);
+	var defaults = hasher.create(config).get();
+	var keys = _.keys(defaults);
+	var alias = {};
+
+	keys.forEach(function(key) {
+		var flag = _.kebabCase(key);
+
+		if (flag !== key) {
+			alias[flag] = key;
+		}
+	});
+
+	var args = minimist(joinValueFlags(argv), {
+		alias: alias,
+		boolean: ['help', 'watch', 'expired', 'json'].concat(keys.filter(function(key) {
+			return _.isBoolean(defaults[key]) && !_.has(valueFlags, key);
+		})),
+		string: ['config'].concat(keys.filter(function(key) {
+			return _.isString(defaults[key]);
+		})),
+		default: defaults
+	});
+
+	return {
+		command: args._[0],
+		args: args._.slice(1),
+		help: args.help,
+		watch: args.watch,
+		expired: args.expired,
+		json: args.json,
+		debounce: args.debounce,
+		options: _.mapValues(_.pick(args, keys), function(value, key) {
+			return _.has(valueFlags, key) ? parseValueFlag(value) : value;
+		})
+	};
+};
+
+
+/**
+ * Print plan of a dry run
+ *
+ * @private
+ * @param {object} plan The plan with the planned file operations and manifest diff
+ * @param {function} print Function to write output
+ */
+var printPlan = function(plan, print) {
+	plan.operations.forEach(function(operation) {
+		if (operation.type === 'delete') {
+			print('delete ' + operation.path);
+		} else {
+			print(operation.type + ' ' + operation.from + ' => ' + operation.to);
+		}
+	});
+
+	_.forEach(plan.manifest.added, function(entry, file) {
+		print('manifest + ' + file + ' => ' + entry.path);
+	});
+
+	_.forEach(plan.manifest.changed, function(change, file) {
+		print('manifest ~ ' + file + ' => ' + change.to.path + ' (was ' + change.from.path + ')');
+	});
+
+	_.forEach(plan.manifest.removed, function(entry, file) {
+		print('manifest - ' + file);
+	});
+};
+
+
+/**
+ * Print manifest diff as text for release notes
+ *
+ * @private
+ * @param {object} diff The manifest diff
+ * @param {function} print Function to write output
+ */
+var printDiff = function(diff, print) {
+	_.keys(diff.added).sort().forEach(function(file) {
+		print('+ ' + file + ' => ' + diff.added[file].to);
+	});
+
+	_.keys(diff.removed).sort().forEach(function(file) {
+		print('- ' + file + ' (was ' + diff.removed[file].from + ')');
+	});
+
+	_.keys(diff.rehashed).sort().forEach(function(file) {
+		print('~ ' + file + ' => ' + diff.rehashed[file].to + ' (was ' + diff.rehashed[file].from + ')');
+	});
+
+	print(['added', 'removed', 'rehashed', 'unchanged'].map(function(type) {
+		return _.size(diff[type]) + ' ' + type;
+	}).join(', '));
+};
+
+
+/**
+ * Watch files and print each batch of changes.  Keeps the process running until it's stopped
+ *
+ * @private
+ * @param {array} globs The globs to watch
+ * @param {object} instance The hasher
+ * @param {function} print Function to write output
+ * @param {object} parsed The parsed command line
+ * @return {number} Exit code
+ */
+var watch = function(globs, instance, print, parsed) {
+	var watcher = instance.watch(globs, _.isNumber(parsed.debounce) ? {debounce: parsed.debounce} : {});
+
+	watcher.on('hashed', function(results) {
+		results.forEach(function(result) {
+			print(result.original + ' => ' + result.path);
+		});
+	});
+
+	watcher.on('removed', function(results) {
+		results.forEach(function(result) {
+			print('Removed ' + result.original);
+		});
+	});
+
+	watcher.on('error', function(err) {
+		print.error(err.message);
+	});
+
+	watcher.on('ready', function() {
+		print('Watching ' + globs.join(' '));
+	});
+
+	return exitCodes.ok;
+};
+
+
+/**
+ * Commands.  Each command is called with the command arguments, the hasher, a function to write output and the parsed command line, and returns an exit code
+ * @type {object}
+ */
+var commands = {
+
+	/**
+	 * Hash files matching globs and save the manifest
+	 */
+	hash: function(args, instance, print, parsed) {
+		if (args.length === 0) {
+			throw new UsageError('No files specified to hash');
+		}
+
+		if (parsed.watch) {
+			return watch(args, instance, print, parsed);
+		}
+
+		var results = instance.hashFiles(args);
+		var plan = null;
+
+		// Dry runs print the plan and don't save the manifest
+		if (instance.get('dryRun')) {
+			plan = results;
+			results = plan.files;
+		}
+
+		if (_.isUndefined(results)) {
+			print.error('No files matched: ' + args.join(' '));
+			return exitCodes.error;
+		}
+
+		if (plan !== null) {
+			printPlan(plan, print);
+			return exitCodes.ok;
+		}
+
+		[].concat(results).forEach(function(result) {
+			print(result.original + ' => ' + result.path);
+		});
+
+		if (instance.get('cache')) {
+			var stats = instance.getCacheStats();
+
+			print('Cache: ' + stats.hits.length + ' hits, ' + stats.misses.length + ' misses');
+		}
+
+		instance.saveManifest();
+
+		return exitCodes.ok;
+	},
+
+
+	/**
+	 * Print the manifest
+	 */
+	manifest: function(args, instance, print) {
+		if (args[0] !== 'show') {
+			throw new UsageError('Unknown manifest command: ' + (args[0] || ''));
+		}
+
+		if (!instance.loadManifest()) {
+			print.error('Manifest not found: ' + path.join(instance.get('path'), instance.get('manifest')));
+			return exitCodes.error;
+		}
+
+		print(JSON.stringify(instance.getAssets(), null, 2));
+
+		return exitCodes.ok;
+	},
+
+
+	/**
+	 * Print hashed path for original file
+	 */
+	lookup: function(args, instance, print) {
+		if (args.length !== 1) {
+			throw new UsageError('Specify one original file to look up');
+		}
+
+		instance.loadManifest();
+
+		var asset = instance.getAsset(args[0]);
+
+		if (asset === null) {
+			print.error('Not in manifest: ' + args[0]);
+			return exitCodes.error;
+		}
+
+		print(asset.path);
+
+		return exitCodes.ok;
+	},
+
+
+	/**
+	 * Remove hashed files listed in the manifest and the manifest file.  With --expired only expired versions and orphans are removed
+	 */
+	clean: function(args, instance, print, parsed) {
+		var manifestPath = path.join(instance.get('path'), instance.get('manifest'));
+
+		if (!instance.loadManifest()) {
+			print.error('Manifest not found: ' + manifestPath);
+			return exitCodes.error;
+		}
+
+		// Compressed variants are removed along with their hashed file
+		instance.clean({all: !parsed.expired}).forEach(function(filePath) {
+			print('Removed ' + filePath);
+		});
+
+		if (parsed.expired) {
+			instance.saveManifest();
+
+			return exitCodes.ok;
+		}
+
+		fs.unlinkSync(manifestPath);
+		print('Removed ' + manifestPath);
+
+		return exitCodes.ok;
+	},
+
+
+	/**
+	 * Compare two manifest files, or a manifest file and the configured manifest
+	 */
+	diff: function(args, instance, print, parsed) {
+		if (args.length < 1 || args.length > 2) {
+			throw new UsageError('Specify the manifest to compare and optionally the manifest to compare it with');
+		}
+
+		var diff = instance.diffManifests(args[0], args[1] || path.join(instance.get('path'), instance.get('manifest')));
+
+		if (parsed.json) {
+			print(JSON.stringify(diff, null, 2));
+		} else {
+			printDiff(diff, print);
+		}
+
+		return exitCodes.ok;
+	}
+
+};
+
+
+/**
+ * Run command line interface
+ *
+ * @param {array} argv The command line arguments, without node and script path
+ * @param {object} streams Writable streams to use for stdout and stderr.  Defaults to the process streams
+ * @return {number} Exit code.  0 on success, 1 if the command failed and 2 for invalid usage
+ */
+var run = function(argv, streams) {
+	streams = _.assign({stdout: process.stdout, stderr: process.stderr}, streams);
+
+	var print = function(message) {
+		streams.stdout.write(message + '\n');
+	};
+
+	print.error = function(message) {
+		streams.stderr.write(message + '\n');
+	};
+
+	try {
+		var parsed = parseArgs(argv);
+
+		if (parsed.help) {
+			print(usage);
+			return exitCodes.ok;
+		}
+
+		if (!_.has(commands, parsed.command)) {
+			throw new UsageError(parsed.command ? 'Unknown command: ' + parsed.command : 'No command specified');
+		}
+
+		return commands[parsed.command](parsed.args, hasher.create(parsed.options), print, parsed);
+	}
+	catch(e) {
+		print.error(e.message);
+
+		if (e instanceof UsageError) {
+			print.error('\n' + usage);
+			return exitCodes.usage;
+		}
+
+		return exitCodes.error;
+	}
+};
+
+
+/**
+ * Export
+ */
+module.exports = {
+	exitCodes: exitCodes,
+	run: run
+};
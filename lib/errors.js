@@ -0,0 +1,116 @@
+/**
+ * Error types thrown by asset hasher.  Check for them with instanceof or their name
+ */
+
+var util		= require('util');
+
+
+/**
+ * Base error for asset hasher errors
+ *
+ * @param {string} message The error message
+ */
+var AssetHashError = function(message) {
+	Error.call(this);
+
+	if (Error.captureStackTrace) {
+		Error.captureStackTrace(this, this.constructor);
+	}
+
+	this.name = this.constructor.name;
+	this.message = message;
+};
+
+util.inherits(AssetHashError, Error);
+
+
+/**
+ * Error for a manifest file that exists but can't be parsed.  Keeps the manifest file from being overwritten with an empty asset library
+ *
+ * @param {string} manifestPath The path to the manifest file
+ * @param {Error} cause The parse error
+ */
+var ManifestParseError = function(manifestPath, cause) {
+	AssetHashError.call(this, 'Could not parse manifest file ' + manifestPath + (cause ? ': ' + cause.message : ''));
+
+	this.path = manifestPath;
+	this.cause = cause;
+};
+
+util.inherits(ManifestParseError, AssetHashError);
+
+
+/**
+ * Error for a manifest file written with a newer manifest schema than this version of asset hasher supports
+ *
+ * @param {number} version The schema version of the manifest file
+ * @param {number} supported The newest schema version supported
+ * @param {string} manifestPath The path to the manifest file
+ */
+var ManifestVersionError = function(version, supported, manifestPath) {
+	AssetHashError.call(this, 'Manifest schema version ' + version + (manifestPath ? ' of ' + manifestPath : '') + ' is newer than supported version ' + supported + '.  Upgrade asset_hash to read it');
+
+	this.path = manifestPath;
+	this.version = version;
+	this.supported = supported;
+};
+
+util.inherits(ManifestVersionError, AssetHashError);
+
+
+/**
+ * Error for a glob that matched no files
+ *
+ * @param {string} pattern The glob
+ */
+var NoMatchError = function(pattern) {
+	AssetHashError.call(this, 'No files matched: ' + pattern);
+
+	this.pattern = pattern;
+};
+
+util.inherits(NoMatchError, AssetHashError);
+
+
+/**
+ * Error for a hasher that isn't a node crypto algorithm or a registered hash function
+ *
+ * @param {string} hasher The hasher name
+ */
+var UnknownHasherError = function(hasher) {
+	AssetHashError.call(this, 'Unknown hasher: ' + hasher + '.  Use getHashers() to list available hashers or registerHasher() to add one');
+
+	this.hasher = hasher;
+};
+
+util.inherits(UnknownHasherError, AssetHashError);
+
+
+/**
+ * Error for a file that couldn't be written.  The code of the underlying error is kept so ENOENT, EACCES etc. can still be checked
+ *
+ * @param {string} filePath The path to the file being written
+ * @param {Error} cause The file system error
+ */
+var WriteError = function(filePath, cause) {
+	AssetHashError.call(this, 'Could not write ' + filePath + (cause ? ': ' + cause.message : ''));
+
+	this.path = filePath;
+	this.code = cause ? cause.code : undefined;
+	this.cause = cause;
+};
+
+util.inherits(WriteError, AssetHashError);
+
+
+/**
+ * Export
+ */
+module.exports = {
+	AssetHashError: AssetHashError,
+	ManifestParseError: ManifestParseError,
+	ManifestVersionError: ManifestVersionError,
+	NoMatchError: NoMatchError,
+	UnknownHasherError: UnknownHasherError,
+	WriteError: WriteError
+};
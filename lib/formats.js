@@ -0,0 +1,235 @@
+/**
+ * Manifest file formats.  Each format serializes the asset library to manifest file contents and parses manifest file contents back to an asset library
+ */
+
+var _			= require('lodash');
+var errors		= require('./errors');
+var mime		= require('./mime');
+var	path		= require('path');
+var pkg			= require('../package.json');
+
+
+/**
+ * Version of the manifest schema written by the default and pretty formats.  Manifests without a header are version 1
+ * @type {number}
+ */
+var schemaVersion = 2;
+
+
+/**
+ * Sort object keys so manifest diffs are readable
+ *
+ * @private
+ * @param {object} obj The object to sort
+ * @return {object} Copy of object with sorted keys
+ */
+var sortKeys = function(obj) {
+	return _.reduce(_.keys(obj).sort(), function(sorted, key) {
+		sorted[key] = obj[key];
+		return sorted;
+	}, {});
+};
+
+
+/**
+ * Create asset library entry for an original and hashed path from a flat manifest
+ *
+ * @private
+ * @param {string} original The original file path
+ * @param {string} hashedPath The hashed file path
+ * @param {object} options The options specified.  Uses hashKey
+ * @return {object} Asset library entry
+ */
+var toEntry = function(original, hashedPath, options) {
+	var hash = path.basename(hashedPath).match(new RegExp(_.escapeRegExp(options.hashKey) + '[a-zA-Z0-9_-]*'));
+
+	return {
+		hashed: hashedPath !== original,
+		hash: hash ? hash[0] : '',
+		original: original,
+		path: hashedPath,
+		type: path.extname(original).replace('.', ''),
+		mime: mime.lookup(original)
+	};
+};
+
+
+/**
+ * Get url prefix of hashed paths in the webpack format.  The public path and hashed path are joined with a single slash, like rewritten references
+ *
+ * @private
+ * @param {object} options The options specified.  Uses publicPath
+ * @return {string} The url prefix
+ */
+var getUrlPrefix = function(options) {
+	return options.publicPath ? options.publicPath.replace(/\/+$/, '') + '/' : '';
+};
+
+
+/**
+ * Create manifest header
+ *
+ * @private
+ * @param {object} options The options specified.  Uses hasher and hashKey
+ * @return {object} The header with the schema version, generator, hasher, hash key and generation time
+ */
+var createHeader = function(options) {
+	return {
+		schema: schemaVersion,
+		generator: pkg.name + '@' + pkg.version,
+		hasher: _.isString(options.hasher) ? options.hasher : 'custom',
+		hashKey: options.hashKey,
+		generated: Date.now()
+	};
+};
+
+
+/**
+ * Check if parsed manifest has a header
+ *
+ * @private
+ * @param {object} manifest The parsed manifest
+ * @return {boolean} Whether manifest is versioned
+ */
+var isVersioned = function(manifest) {
+	return _.isObject(manifest.manifest) && _.isNumber(manifest.manifest.schema);
+};
+
+
+/**
+ * Migrate unversioned manifest to asset library.  Flat manifests mapping original to hashed paths are converted to asset library entries and the
+ * MIME type is added to entries.  Size and last hashed time are added the next time each file is hashed
+ *
+ * @private
+ * @param {object} manifest The parsed manifest
+ * @param {object} options The options specified
+ * @return {object} The asset library
+ */
+var migrate = function(manifest, options) {
+	return _.mapValues(manifest, function(entry, original) {
+		return _.isString(entry) ? toEntry(original, entry, options) : _.defaults({mime: mime.lookup(original)}, entry);
+	});
+};
+
+
+/**
+ * Parse JSON manifest.  Unversioned manifests are migrated, manifests with a newer schema version are refused
+ *
+ * @private
+ * @param {string} contents The manifest file contents
+ * @param {object} options The options specified
+ * @return {object} The asset library
+ */
+var parseJSON = function(contents, options) {
+	var manifest = JSON.parse(contents) || {};
+
+	if (!isVersioned(manifest)) {
+		return migrate(manifest, options);
+	}
+
+	if (manifest.manifest.schema > schemaVersion) {
+		throw new errors.ManifestVersionError(manifest.manifest.schema, schemaVersion);
+	}
+
+	return manifest.assets || {};
+};
+
+
+/**
+ * Available formats
+ * @type {object}
+ */
+var formats = {
+
+	/**
+	 * Manifest header and asset library entries as compact JSON
+	 */
+	default: {
+		serialize: function(assets, options) {
+			return JSON.stringify({manifest: createHeader(options), assets: assets});
+		},
+		parse: parseJSON
+	},
+
+
+	/**
+	 * Manifest header and asset library entries as indented JSON with sorted keys
+	 */
+	pretty: {
+		serialize: function(assets, options) {
+			return JSON.stringify({manifest: createHeader(options), assets: sortKeys(assets)}, null, 2) + '\n';
+		},
+		parse: parseJSON
+	},
+
+
+	/**
+	 * Flat map of original to hashed paths, compatible with gulp-rev's rev-manifest.json
+	 */
+	rev: {
+		serialize: function(assets) {
+			return JSON.stringify(sortKeys(_.mapValues(assets, 'path')), null, 2) + '\n';
+		},
+		parse: parseJSON
+	},
+
+
+	/**
+	 * Flat map of original paths to public urls of hashed files, like webpack's manifest.json
+	 */
+	webpack: {
+		serialize: function(assets, options) {
+			return JSON.stringify(sortKeys(_.mapValues(assets, function(asset) {
+				return getUrlPrefix(options) + asset.path.split(path.sep).join('/');
+			})), null, 2) + '\n';
+		},
+		parse: function(contents, options) {
+			var prefix = getUrlPrefix(options);
+
+			return _.mapValues(JSON.parse(contents) || {}, function(url, original) {
+				var hashedPath = prefix && url.indexOf(prefix) === 0 ? url.slice(prefix.length) : url;
+
+				return toEntry(original, path.normalize(hashedPath), options);
+			});
+		}
+	}
+
+};
+
+
+/**
+ * Get format to use for the manifest file
+ *
+ * @param {string|function|object} format The name of the format, a function to serialize the asset library or an object with serialize and parse functions
+ * @return {object} Format with serialize(assets, options) and parse(contents, options) functions.  Parse is null for formats that can only be written
+ */
+var get = function(format) {
+	if (_.isString(format)) {
+		if (!_.has(formats, format)) {
+			throw new Error('Unknown manifest format: ' + format);
+		}
+
+		return formats[format];
+	}
+
+	if (_.isFunction(format)) {
+		format = {serialize: format};
+	}
+
+	if (!_.isObject(format) || !_.isFunction(format.serialize)) {
+		throw new Error('Manifest format must be a format name, a serialize function or an object with serialize and parse functions');
+	}
+
+	// Without a parse function the contents can't be read back, so the manifest file is only written
+	return _.defaults({}, format, {parse: null});
+};
+
+
+/**
+ * Export
+ */
+module.exports = {
+	get: get,
+	names: _.keys(formats),
+	schemaVersion: schemaVersion
+};
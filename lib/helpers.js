@@ -0,0 +1,150 @@
+/**
+ * View helpers to emit urls and tags for hashed assets in templates
+ */
+
+var _			= require('lodash');
+var	path		= require('path');
+
+
+/**
+ * Build html attributes.  Attributes set to true are written without a value, attributes set to false, null or undefined are left out
+ *
+ * @private
+ * @param {object} attrs The attributes
+ * @return {string} The attributes, each with a leading space
+ */
+var toAttributes = function(attrs) {
+	return _.map(attrs, function(value, name) {
+		if (value === true) {
+			return ' ' + name;
+		}
+
+		return value === false || _.isNull(value) || _.isUndefined(value) ? '' : ' ' + name + '="' + _.escape(value) + '"';
+	}).join('');
+};
+
+
+/**
+ * Create view helpers
+ *
+ * @param {function} getAsset Function returning the asset library entry of an original path, or null if it isn't in the asset library
+ * @param {object} options Helper options.  Uses publicPath and crossorigin
+ * @return {object} The helpers.  assetUrl, scriptTag, styleTag and imgTag, and registerHandlebars and registerLodash to add them to template engines
+ */
+var createHelpers = function(getAsset, options) {
+
+	/**
+	 * Get url of hashed file.  Paths that aren't in the asset library are used as they are
+	 *
+	 * @param {string} original The original path relative to base
+	 * @return {string} The url, prefixed with publicPath or /
+	 */
+	var assetUrl = function(original) {
+		var asset = getAsset(original);
+		var assetPath = (asset ? asset.path : original).split(path.sep).join('/').replace(/^\/+/, '');
+
+		return (options.publicPath ? options.publicPath.replace(/\/+$/, '') : '') + '/' + assetPath;
+	};
+
+	/**
+	 * Get integrity and crossorigin attributes of asset if it has integrity values
+	 *
+	 * @private
+	 * @param {string} original The original path relative to base
+	 * @return {object} The attributes
+	 */
+	var integrityAttributes = function(original) {
+		var asset = getAsset(original);
+
+		if (!asset || !asset.integrity) {
+			return {};
+		}
+
+		return {
+			integrity: asset.integrity,
+			crossorigin: options.crossorigin
+		};
+	};
+
+	/**
+	 * Build script tag for hashed js file
+	 *
+	 * @param {string} original The original path relative to base
+	 * @param {object} attrs Additional attributes, for example {defer: true}
+	 * @return {string} The script tag
+	 */
+	var scriptTag = function(original, attrs) {
+		return '<script' + toAttributes(_.assign({src: assetUrl(original)}, integrityAttributes(original), attrs)) + '></script>';
+	};
+
+	/**
+	 * Build link tag for hashed css file
+	 *
+	 * @param {string} original The original path relative to base
+	 * @param {object} attrs Additional attributes, for example {media: 'print'}
+	 * @return {string} The link tag
+	 */
+	var styleTag = function(original, attrs) {
+		return '<link' + toAttributes(_.assign({rel: 'stylesheet', href: assetUrl(original)}, integrityAttributes(original), attrs)) + '>';
+	};
+
+	/**
+	 * Build img tag for hashed image
+	 *
+	 * @param {string} original The original path relative to base
+	 * @param {object} attrs Additional attributes, for example {alt: 'Logo'}
+	 * @return {string} The img tag
+	 */
+	var imgTag = function(original, attrs) {
+		return '<img' + toAttributes(_.assign({src: assetUrl(original)}, attrs)) + '>';
+	};
+
+	var helpers = {
+		assetUrl: assetUrl,
+		scriptTag: scriptTag,
+		styleTag: styleTag,
+		imgTag: imgTag
+	};
+
+	/**
+	 * Register helpers with Handlebars.  Attributes are passed as hash arguments, {{scriptTag "js/main.js" defer=true}}
+	 *
+	 * @param {object} handlebars The Handlebars instance
+	 * @return {object} The Handlebars instance
+	 */
+	var registerHandlebars = function(handlebars) {
+		_.forEach(helpers, function(helper, name) {
+			handlebars.registerHelper(name, function(original, context) {
+				var result = helper(original, context && context.hash);
+
+				// Tags are html and must not be escaped, urls are escaped by Handlebars like any other value
+				return name === 'assetUrl' ? result : new handlebars.SafeString(result);
+			});
+		});
+
+		return handlebars;
+	};
+
+	/**
+	 * Register helpers as imports of lodash templates.  Use <%= %> to output tags, <%- %> would escape them
+	 *
+	 * @param {function} lodash The lodash instance
+	 * @return {function} The lodash instance
+	 */
+	var registerLodash = function(lodash) {
+		lodash.templateSettings.imports = _.assign({}, lodash.templateSettings.imports, helpers);
+
+		return lodash;
+	};
+
+	return _.assign({
+		registerHandlebars: registerHandlebars,
+		registerLodash: registerLodash
+	}, helpers);
+};
+
+
+/**
+ * Export
+ */
+module.exports = createHelpers;
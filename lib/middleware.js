@@ -0,0 +1,235 @@
+/**
+ * Connect/Express middleware to serve hashed assets with long lived caching
+ */
+
+var _			= require('lodash');
+var	fs			= require('fs');
+var	path		= require('path');
+var url			= require('url');
+
+
+/**
+ * Cache-Control header for hashed paths.  Their contents never change so they can be cached forever
+ * @type {string}
+ */
+var immutable = 'public, max-age=31536000, immutable';
+
+
+/**
+ * Compressed variants to serve, in order of preference.  Each has the Accept-Encoding token and the extension of the compressed file
+ * @type {array}
+ */
+var encodings = [
+	{name: 'br', ext: '.br'},
+	{name: 'gzip', ext: '.gz'}
+];
+
+
+/**
+ * Check if client accepts encoding.  Encodings with a quality of 0 are refused
+ *
+ * @private
+ * @param {string} header The Accept-Encoding header
+ * @param {string} encoding The encoding
+ * @return {boolean} Whether the encoding is accepted
+ */
+var accepts = function(header, encoding) {
+	return _.some(String(header || '').split(','), function(part) {
+		var params = part.trim().split(';');
+		var quality = /^\s*q=([0-9.]+)\s*$/.exec(params[1] || '');
+
+		return (params[0].trim() === encoding || params[0].trim() === '*') && (!quality || parseFloat(quality[1]) > 0);
+	});
+};
+
+
+/**
+ * Check if If-None-Match header matches ETag
+ *
+ * @private
+ * @param {string} header The If-None-Match header
+ * @param {string} etag The ETag of the response
+ * @return {boolean} Whether the client has the current response
+ */
+var isFresh = function(header, etag) {
+	return _.some(String(header || '').split(','), function(tag) {
+		tag = tag.trim().replace(/^W\//, '');
+
+		return tag === '*' || tag === etag;
+	});
+};
+
+
+/**
+ * Get stats of file, or null if it doesn't exist
+ *
+ * @private
+ * @param {string} filePath The path to the file
+ * @return {Promise} Resolves with the file stats or null
+ */
+var stat = function(filePath) {
+	return new Promise(function(resolve, reject) {
+		fs.stat(filePath, function(err, stats) {
+			if (err && err.code !== 'ENOENT' && err.code !== 'ENOTDIR') {
+				return reject(err);
+			}
+
+			resolve(err || !stats.isFile() ? null : stats);
+		});
+	});
+};
+
+
+/**
+ * Choose the file to send.  Compressed variants are sent if the client accepts them
+ *
+ * @private
+ * @param {string} filePath The path to the hashed file
+ * @param {string} acceptEncoding The Accept-Encoding header
+ * @return {Promise} Resolves with the path, stats and encoding of the file to send and whether variants exist, or null if the hashed file is missing
+ */
+var chooseFile = function(filePath, acceptEncoding) {
+	return Promise.all([filePath].concat(encodings.map(function(encoding) {
+		return filePath + encoding.ext;
+	})).map(stat)).then(function(stats) {
+		var variants = stats.slice(1);
+		var index = _.findIndex(encodings, function(encoding, i) {
+			return variants[i] !== null && accepts(acceptEncoding, encoding.name);
+		});
+
+		if (stats[0] === null) {
+			return null;
+		}
+
+		return {
+			path: index === -1 ? filePath : filePath + encodings[index].ext,
+			stats: index === -1 ? stats[0] : variants[index],
+			encoding: index === -1 ? null : encodings[index].name,
+			varies: _.some(variants)
+		};
+	});
+};
+
+
+/**
+ * Send hashed file
+ *
+ * @private
+ * @param {http.IncomingMessage} req The request
+ * @param {http.ServerResponse} res The response
+ * @param {object} asset The asset to send
+ * @param {string} cacheControl The Cache-Control header
+ * @return {Promise} Resolves with whether the file was sent
+ */
+var send = function(req, res, asset, cacheControl) {
+	return chooseFile(asset.file, req.headers['accept-encoding']).then(function(file) {
+		if (file === null) {
+			return false;
+		}
+
+		// Each encoding is a different representation so it needs its own ETag
+		var etag = '"' + asset.hash + (file.encoding ? '-' + file.encoding : '') + '"';
+
+		res.setHeader('Cache-Control', cacheControl);
+		res.setHeader('ETag', etag);
+
+		if (file.varies) {
+			res.setHeader('Vary', 'Accept-Encoding');
+		}
+
+		if (isFresh(req.headers['if-none-match'], etag)) {
+			res.statusCode = 304;
+			res.end();
+			return true;
+		}
+
+		res.statusCode = 200;
+		res.setHeader('Content-Type', asset.mime);
+		res.setHeader('Content-Length', file.stats.size);
+
+		if (file.encoding) {
+			res.setHeader('Content-Encoding', file.encoding);
+		}
+
+		if (req.method === 'HEAD') {
+			res.end();
+			return true;
+		}
+
+		return new Promise(function(resolve, reject) {
+			fs.createReadStream(file.path).on('error', reject).on('end', function() {
+				resolve(true);
+			}).pipe(res);
+		});
+	});
+};
+
+
+/**
+ * Create middleware to serve hashed assets.  Hashed paths are served with immutable caching.  Requests for original paths are redirected to the
+ * hashed path, or answered with the hashed file if originals is rewrite.  Can be used with connect, express or a plain node http server
+ *
+ * @param {object} handlers Functions to find assets.  find(filePath) returns the asset for a request path relative to the prefix or null, with
+ * the absolute path to the hashed file, its hash, MIME type, hashed path and whether the original path was requested.  reload() returns a promise
+ * and reloads the asset library if the manifest file changed
+ * @param {object} options Middleware options.  Uses prefix, originals and cacheControl
+ * @return {function} The middleware function(req, res, next)
+ */
+var createMiddleware = function(handlers, options) {
+	return function(req, res, next) {
+		var requestPath;
+
+		// Without a next function, as in a plain node http server, respond with not found or the error
+		next = next || function(err) {
+			res.statusCode = err ? 500 : 404;
+			res.end();
+		};
+
+		if (req.method !== 'GET' && req.method !== 'HEAD') {
+			return next();
+		}
+
+		try {
+			requestPath = decodeURIComponent(url.parse(req.url).pathname);
+		}
+		catch(e) {
+			return next();
+		}
+
+		if (requestPath.indexOf(options.prefix) !== 0) {
+			return next();
+		}
+
+		handlers.reload().then(function() {
+			var asset = handlers.find(requestPath.slice(options.prefix.length));
+
+			if (asset === null || (asset.original && !options.originals)) {
+				return false;
+			}
+
+			if (asset.original && options.originals === 'redirect') {
+				res.statusCode = 302;
+				res.setHeader('Cache-Control', 'no-cache');
+				res.setHeader('Location', options.prefix + asset.path.split(path.sep).join('/') + (url.parse(req.url).search || ''));
+				res.end();
+				return true;
+			}
+
+			// Original paths can point to a different hashed file later so they must be revalidated
+			return send(req, res, asset, asset.original ? 'no-cache' : options.cacheControl);
+		}).then(function(handled) {
+			if (!handled) {
+				next();
+			}
+		}, function(err) {
+			next(err);
+		});
+	};
+};
+
+
+/**
+ * Export
+ */
+module.exports = createMiddleware;
+module.exports.immutable = immutable;
@@ -0,0 +1,73 @@
+/**
+ * MIME types of common web assets
+ */
+
+var _			= require('lodash');
+var	path		= require('path');
+
+
+/**
+ * MIME type for files with an unknown extension
+ * @type {string}
+ */
+var defaultType = 'application/octet-stream';
+
+
+/**
+ * MIME types by file extension
+ * @type {object}
+ */
+var types = {
+	avif: 'image/avif',
+	bmp: 'image/bmp',
+	css: 'text/css',
+	csv: 'text/csv',
+	eot: 'application/vnd.ms-fontobject',
+	gif: 'image/gif',
+	htm: 'text/html',
+	html: 'text/html',
+	ico: 'image/x-icon',
+	jpeg: 'image/jpeg',
+	jpg: 'image/jpeg',
+	js: 'application/javascript',
+	json: 'application/json',
+	map: 'application/json',
+	mjs: 'application/javascript',
+	mp3: 'audio/mpeg',
+	mp4: 'video/mp4',
+	otf: 'font/otf',
+	pdf: 'application/pdf',
+	png: 'image/png',
+	svg: 'image/svg+xml',
+	ttf: 'font/ttf',
+	txt: 'text/plain',
+	wasm: 'application/wasm',
+	webm: 'video/webm',
+	webmanifest: 'application/manifest+json',
+	webp: 'image/webp',
+	woff: 'font/woff',
+	woff2: 'font/woff2',
+	xml: 'application/xml'
+};
+
+
+/**
+ * Get MIME type of file from its extension
+ *
+ * @param {string} filePath The path to the file
+ * @return {string} The MIME type or application/octet-stream if the extension is unknown
+ */
+var lookup = function(filePath) {
+	var ext = path.extname(filePath).replace('.', '').toLowerCase();
+
+	return _.has(types, ext) ? types[ext] : defaultType;
+};
+
+
+/**
+ * Export
+ */
+module.exports = {
+	defaultType: defaultType,
+	lookup: lookup
+};
@@ -0,0 +1,165 @@
+/**
+ * Find and rewrite asset references inside css, html and js contents
+ */
+
+var _			= require('lodash');
+
+
+/**
+ * Patterns used to find references for each content type.  Each pattern captures the text before the reference in group 1 and the reference in group 3
+ * @type {object}
+ */
+var patterns = {
+	css: [
+		/(url\(\s*(['"]?))([^'"()\s]+)\2\s*\)/gi,
+		/(@import\s+(['"]))([^'"]+)\2/gi
+	],
+	html: [
+		/(\s(?:src|href)\s*=\s*(["']))([^"']+)\2/gi,
+		/(\ssrcset\s*=\s*(["']))([^"']+)\2/gi
+	],
+	js: [
+		/((['"`]))([^'"`\\\n$]+)\2/g
+	]
+};
+
+
+/**
+ * Pattern for source map comments in css and js.  Matches //# and /*# comments and the deprecated //@ form.  Captures the url in group 1
+ * @type {RegExp}
+ */
+var sourceMapPattern = /(?:\/\/|\/\*)[#@]\s*sourceMappingURL=([^\s'"*]+)/g;
+
+
+/**
+ * File extensions for each content type
+ * @type {object}
+ */
+var extensions = {
+	css: ['css', 'less', 'sass', 'scss'],
+	html: ['htm', 'html'],
+	js: ['js', 'jsx', 'mjs']
+};
+
+
+/**
+ * Get content type to use to find references in a file
+ *
+ * @param {string} filePath The path to the file
+ * @return {string|null} Content type (css, html or js) or null if file type isn't supported
+ */
+var typeOf = function(filePath) {
+	var ext = filePath.split('.').pop().toLowerCase();
+
+	return _.findKey(extensions, function(exts) {
+		return _.contains(exts, ext);
+	}) || null;
+};
+
+
+/**
+ * Find references in contents
+ *
+ * @param {string} contents The contents to search
+ * @param {string} type The content type.  One of css, html or js
+ * @return {array} References found.  Each reference has the index where it starts and its value
+ */
+var find = function(contents, type) {
+	var references = [];
+
+	(patterns[type] || []).forEach(function(pattern) {
+		var regex = new RegExp(pattern.source, pattern.ignoreCase ? 'gi' : 'g');
+		var match;
+
+		while ((match = regex.exec(contents)) !== null) {
+			var index = match.index + match[1].length;
+
+			// srcset holds a comma separated list of urls, each followed by an optional descriptor
+			if (/srcset/i.test(match[1])) {
+				var candidate = /(^|,)\s*([^\s,]+)/g;
+				var part;
+
+				while ((part = candidate.exec(match[3])) !== null) {
+					references.push({
+						index: index + part.index + part[0].length - part[2].length,
+						value: part[2]
+					});
+				}
+			} else {
+				references.push({
+					index: index,
+					value: match[3]
+				});
+			}
+		}
+	});
+
+	return _.sortBy(references, 'index');
+};
+
+
+/**
+ * Rewrite references in contents
+ *
+ * @param {string} contents The contents to rewrite
+ * @param {string} type The content type.  One of css, html or js
+ * @param {function} replace Called with each reference value.  Return the new value or a falsy value to leave the reference as is
+ * @return {object} The rewritten contents and the list of references replaced, each with from and to values
+ */
+var rewrite = function(contents, type, replace) {
+	var output = '';
+	var replaced = [];
+	var last = 0;
+
+	find(contents, type).forEach(function(reference) {
+		var value = replace(reference.value);
+
+		if (value && value !== reference.value && reference.index >= last) {
+			output += contents.slice(last, reference.index) + value;
+			last = reference.index + reference.value.length;
+
+			replaced.push({
+				from: reference.value,
+				to: value
+			});
+		}
+	});
+
+	return {
+		contents: output + contents.slice(last),
+		replaced: replaced
+	};
+};
+
+
+/**
+ * Find source map comment in css or js contents.  Only the last comment counts, like in browsers
+ *
+ * @param {string} contents The contents to search
+ * @return {object|null} The index where the source map url starts and its value, or null if there is no source map comment
+ */
+var findSourceMap = function(contents) {
+	var regex = new RegExp(sourceMapPattern.source, 'g');
+	var found = null;
+	var match;
+
+	while ((match = regex.exec(contents)) !== null) {
+		found = {
+			index: match.index + match[0].length - match[1].length,
+			value: match[1]
+		};
+	}
+
+	return found;
+};
+
+
+/**
+ * Export
+ */
+module.exports = {
+	find: find,
+	findSourceMap: findSourceMap,
+	rewrite: rewrite,
+	typeOf: typeOf
+};
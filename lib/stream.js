@@ -0,0 +1,67 @@
+/**
+ * Object mode transform stream to hash vinyl files in gulp pipelines
+ */
+
+var _			= require('lodash');
+var File		= require('vinyl');
+var	path		= require('path');
+var stream		= require('stream');
+
+
+/**
+ * Create transform stream that renames vinyl files to their hashed paths and emits the manifest file when the stream ends
+ *
+ * @param {function} hashFile Function to hash a vinyl file.  Returns a promise that resolves with the hash result, or null if the file is skipped
+ * @param {function} getManifest Function returning the manifest file contents
+ * @param {object} options Stream options.  Uses base, manifest, path and originals
+ * @return {stream.Transform} The transform stream
+ */
+var createStream = function(hashFile, getManifest, options) {
+	var transform = new stream.Transform({objectMode: true});
+
+	transform._transform = function(file, encoding, done) {
+		// Nothing to hash for directories and files without contents
+		if (file.isNull()) {
+			return done(null, file);
+		}
+
+		hashFile(file).then(function(result) {
+			// Skipped files pass through unchanged
+			if (result === null) {
+				return done(null, file);
+			}
+
+			// Clone after hashing so stream contents aren't split before they're read
+			if (options.originals) {
+				transform.push(file.clone());
+			}
+
+			if (result.path !== result.original) {
+				file.path = path.resolve(options.base, result.path);
+			}
+
+			done(null, file);
+		}, done);
+	};
+
+	transform._flush = function(done) {
+		if (_.isString(options.manifest) && options.manifest !== '') {
+			transform.push(new File({
+				cwd: process.cwd(),
+				base: options.base,
+				path: path.resolve(options.base, options.path, options.manifest),
+				contents: Buffer.from(getManifest())
+			}));
+		}
+
+		done();
+	};
+
+	return transform;
+};
+
+
+/**
+ * Export
+ */
+module.exports = createStream;
@@ -0,0 +1,125 @@
+/**
+ * Watch source files and rehash them in batches as they change
+ */
+
+var _			= require('lodash');
+var chokidar	= require('chokidar');
+var EventEmitter	= require('events').EventEmitter;
+
+
+/**
+ * Create watcher for source files.  Changes are collected until no change has happened for the debounce delay and then handled as one batch
+ *
+ * @param {string|array} globs The glob or array of globs to watch
+ * @param {object} handlers Functions to handle a batch.  hash(files) and remove(files) return promises for their results, save() saves the manifest
+ * @param {object} options Watch options.  Uses debounce (milliseconds) and ignored (function returning true for paths not to watch)
+ * @return {EventEmitter} Watcher emitting ready, hashed, removed, manifest and error events.  Call close() to stop watching
+ */
+var createWatcher = function(globs, handlers, options) {
+	var watcher = new EventEmitter();
+	var changed = {};
+	var removed = {};
+	var timer = null;
+	var running = Promise.resolve();
+
+	var fsWatcher = chokidar.watch(globs, {
+		ignored: options.ignored
+	});
+
+	/**
+	 * Handle changes collected since the last batch
+	 */
+	var flush = function() {
+		var changedFiles = _.keys(changed);
+		var removedFiles = _.keys(removed);
+
+		changed = {};
+		removed = {};
+		timer = null;
+
+		// Batches run one after another so the asset library is never updated by two batches at once.  Files are removed after hashing as hashing
+		// reloads the manifest, which still lists the removed files until it is saved
+		running = running.then(function() {
+			return changedFiles.length > 0 ? handlers.hash(changedFiles) : [];
+		}).then(function(hashed) {
+			return handlers.remove(removedFiles).then(function(results) {
+				if (hashed.length > 0) {
+					watcher.emit('hashed', hashed);
+				}
+
+				if (results.length > 0) {
+					watcher.emit('removed', results);
+				}
+
+				if (hashed.length > 0 || removedFiles.length > 0) {
+					handlers.save();
+					watcher.emit('manifest');
+				}
+			});
+		}).catch(function(err) {
+			watcher.emit('error', err);
+		});
+	};
+
+	/**
+	 * Add file to next batch
+	 *
+	 * @param {object} add The list to add the file to
+	 * @param {object} remove The list to remove the file from
+	 * @param {string} file The file that changed
+	 */
+	var queue = function(add, remove, file) {
+		add[file] = true;
+		delete remove[file];
+
+		if (timer !== null) {
+			clearTimeout(timer);
+		}
+
+		timer = setTimeout(flush, options.debounce);
+	};
+
+	fsWatcher.on('add', function(file) {
+		queue(changed, removed, file);
+	});
+
+	fsWatcher.on('change', function(file) {
+		queue(changed, removed, file);
+	});
+
+	fsWatcher.on('unlink', function(file) {
+		queue(removed, changed, file);
+	});
+
+	fsWatcher.on('ready', function() {
+		watcher.emit('ready');
+	});
+
+	fsWatcher.on('error', function(err) {
+		watcher.emit('error', err);
+	});
+
+	/**
+	 * Stop watching.  Changes that are queued are dropped
+	 *
+	 * @return {Promise} Resolves once the batch that is running has finished
+	 */
+	watcher.close = function() {
+		if (timer !== null) {
+			clearTimeout(timer);
+			timer = null;
+		}
+
+		return Promise.resolve(fsWatcher.close()).then(function() {
+			return running;
+		});
+	};
+
+	return watcher;
+};
+
+
+/**
+ * Export
+ */
+module.exports = createWatcher;
@@ -0,0 +1,326 @@
+/**
+ * Test Asset Hash command line interface
+ */
+
+var	childProcess	= require('child_process');
+var cli			= require('../lib/cli');
+var	expect		= require('chai').expect;
+var fs			= require('fs');
+var path		= require('path');
+var removeTestDir	= require('./support/utils').removeTestDir;
+
+
+// Test variables
+
+var tmpDir		= 'tmp/';
+var testFiles	= [
+	tmpDir + 'img/bg.jpg',
+	tmpDir + 'img/logo.png'
+];
+var manifestArgs = ['--path', tmpDir, '--manifest', 'cli-assets.json'];
+var manifestFile = path.join(tmpDir, 'cli-assets.json');
+
+
+// Utility Functions
+
+/**
+ * Run command line interface and capture output
+ *
+ * @param {array} argv The command line arguments
+ * @return {object} The exit code, stdout and stderr
+ */
+function runCli(argv) {
+	var output = {stdout: '', stderr: ''};
+
+	output.code = cli.run(argv, {
+		stdout: {write: function(text) { output.stdout += text; }},
+		stderr: {write: function(text) { output.stderr += text; }}
+	});
+
+	return output;
+}
+
+
+/**
+ * Add test files
+ */
+function addTestFiles() {
+	['', 'img'].forEach(function(dir) {
+		if (!fs.existsSync(path.join(tmpDir, dir))) {
+			fs.mkdirSync(path.join(tmpDir, dir));
+		}
+	});
+
+	testFiles.forEach(function(file, index) {
+		fs.writeFileSync(file, 'test file ' + index);
+	});
+}
+
+
+describe('Test command line interface', function() {
+
+	beforeEach(function() {
+		addTestFiles();
+	})
+
+	afterEach(function() {
+		removeTestDir(tmpDir);
+	})
+
+	it('Should print usage for --help', function() {
+		var output = runCli(['--help']);
+
+		expect(output.code).to.equal(cli.exitCodes.ok);
+		expect(output.stdout).to.contain('Usage: asset_hash');
+	})
+
+	it('Should exit with usage code for unknown command', function() {
+		var output = runCli(['bogus']);
+
+		expect(output.code).to.equal(cli.exitCodes.usage);
+		expect(output.stderr).to.contain('Unknown command: bogus');
+	})
+
+	it('Should exit with usage code if no files are specified to hash', function() {
+		expect(runCli(['hash']).code).to.equal(cli.exitCodes.usage);
+	})
+
+	it('Should hash files and save manifest', function() {
+		var output = runCli(['hash', tmpDir + 'img/*'].concat(manifestArgs));
+		var manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8')).assets;
+
+		expect(output.code).to.equal(cli.exitCodes.ok);
+		expect(manifest).to.have.all.keys(testFiles);
+
+		testFiles.forEach(function(file) {
+			expect(output.stdout).to.contain(file + ' => ' + manifest[file].path);
+			expect(fs.existsSync(manifest[file].path)).to.be.true;
+		});
+	})
+
+	it('Should report cache hits and misses', function() {
+		runCli(['hash', tmpDir + 'img/*', '--cache'].concat(manifestArgs));
+		fs.writeFileSync(testFiles[0], 'changed');
+
+		var output = runCli(['hash', tmpDir + 'img/*', '--cache'].concat(manifestArgs));
+
+		expect(output.code).to.equal(cli.exitCodes.ok);
+		expect(output.stdout).to.contain('Cache: 1 hits, 1 misses\n');
+	})
+
+	it('Should apply config flags', function() {
+		runCli(['hash', testFiles[0], '--hash-key', 'KEY', '--length', '4', '--template', '<%= hash %>.<%= ext %>', '--replace'].concat(manifestArgs));
+
+		var manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8')).assets;
+
+		expect(manifest[testFiles[0]].path).to.match(/^tmp\/img\/KEY[a-f0-9]{4}\.jpg$/);
+		expect(fs.existsSync(testFiles[0])).to.be.false;
+	})
+
+	it('Should not save hashed files or manifest if disabled', function() {
+		var output = runCli(['hash', testFiles[0], '--no-save', '--no-manifest']);
+
+		expect(output.code).to.equal(cli.exitCodes.ok);
+		expect(fs.readdirSync(path.join(tmpDir, 'img'))).to.have.length(testFiles.length);
+	})
+
+	it('Should print plan without changing files for --dry-run', function() {
+		var output = runCli(['hash', testFiles[0], '--dry-run', '--replace'].concat(manifestArgs));
+
+		expect(output.code).to.equal(cli.exitCodes.ok);
+		expect(output.stdout).to.match(/^rename tmp\/img\/bg\.jpg => tmp\/img\/bg-aH4urS[a-f0-9]{8}\.jpg\nmanifest \+ tmp\/img\/bg\.jpg => /);
+		expect(fs.existsSync(testFiles[0])).to.be.true;
+		expect(fs.existsSync(manifestFile)).to.be.false;
+	})
+
+	it('Should write hashed files to --dest directory', function() {
+		runCli(['hash', testFiles[0], '--base', tmpDir, '--dest', path.join(tmpDir, 'dist')].concat(manifestArgs));
+
+		var manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8')).assets;
+
+		expect(fs.existsSync(path.join(tmpDir, 'dist', manifest['img/bg.jpg'].path))).to.be.true;
+		expect(fs.readdirSync(path.join(tmpDir, 'img')).sort()).to.deep.equal(['bg.jpg', 'logo.png']);
+	})
+
+	it('Should pass values of --integrity and --compress flags', function() {
+		var styles = path.join(tmpDir, 'styles.css');
+
+		fs.writeFileSync(styles, 'body { margin: 0; }');
+
+		var output = runCli(['hash', '--integrity', 'sha256,sha512', '--compress', 'gzip', '--strict', styles].concat(manifestArgs));
+		var asset = JSON.parse(fs.readFileSync(manifestFile, 'utf8')).assets[styles];
+
+		expect(output.code).to.equal(cli.exitCodes.ok);
+		expect(asset.integrity).to.match(/^sha256-\S+ sha512-\S+$/);
+		expect(fs.existsSync(asset.path + '.gz')).to.be.true;
+		expect(fs.existsSync(asset.path + '.br')).to.be.false;
+	})
+
+	it('Should switch on --integrity and --compress flags without values', function() {
+		var styles = path.join(tmpDir, 'styles.css');
+
+		fs.writeFileSync(styles, 'body { margin: 0; }');
+
+		var output = runCli(['hash', '--integrity', styles, '--compress', testFiles[0]].concat(manifestArgs));
+		var manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8')).assets;
+
+		expect(output.code).to.equal(cli.exitCodes.ok);
+		expect(manifest).to.have.all.keys(styles, testFiles[0]);
+		expect(manifest[styles].integrity).to.match(/^sha384-/);
+		expect(fs.existsSync(manifest[styles].path + '.gz')).to.be.true;
+		expect(fs.existsSync(manifest[styles].path + '.br')).to.be.true;
+	})
+
+	it('Should read defaults from config file', function() {
+		var configFile = path.join(tmpDir, 'config.json');
+
+		fs.writeFileSync(configFile, JSON.stringify({hashKey: 'CONF', length: 5}));
+		runCli(['hash', testFiles[0], '--config', configFile].concat(manifestArgs));
+
+		expect(runCli(['lookup', testFiles[0]].concat(manifestArgs)).stdout).to.match(/-CONF[a-f0-9]{5}\.jpg\n$/);
+	})
+
+	it('Should exit with error code if no files match', function() {
+		var output = runCli(['hash', tmpDir + 'nothing/*'].concat(manifestArgs));
+
+		expect(output.code).to.equal(cli.exitCodes.error);
+		expect(output.stderr).to.contain('No files matched');
+	})
+
+	it('Should exit with error code if any glob matches no files in strict mode', function() {
+		var output = runCli(['hash', testFiles[0], tmpDir + 'nothing/*', '--strict'].concat(manifestArgs));
+
+		expect(output.code).to.equal(cli.exitCodes.error);
+		expect(output.stderr).to.contain('No files matched: ' + tmpDir + 'nothing/*');
+		expect(fs.existsSync(manifestFile)).to.be.false;
+	})
+
+	it('Should exit with error code if manifest is corrupt', function() {
+		fs.writeFileSync(manifestFile, '{"img/bg.jpg": ');
+
+		var output = runCli(['hash', testFiles[0]].concat(manifestArgs));
+
+		expect(output.code).to.equal(cli.exitCodes.error);
+		expect(output.stderr).to.contain('Could not parse manifest file');
+		expect(fs.readFileSync(manifestFile, 'utf8')).to.equal('{"img/bg.jpg": ');
+	})
+
+	it('Should show manifest', function() {
+		runCli(['hash', testFiles[0]].concat(manifestArgs));
+
+		var output = runCli(['manifest', 'show'].concat(manifestArgs));
+
+		expect(output.code).to.equal(cli.exitCodes.ok);
+		expect(JSON.parse(output.stdout)).to.deep.equal(JSON.parse(fs.readFileSync(manifestFile, 'utf8')).assets);
+	})
+
+	it('Should exit with error code if manifest to show is missing', function() {
+		expect(runCli(['manifest', 'show'].concat(manifestArgs)).code).to.equal(cli.exitCodes.error);
+	})
+
+	it('Should look up hashed path for original file', function() {
+		runCli(['hash', testFiles[0]].concat(manifestArgs));
+
+		var output = runCli(['lookup', testFiles[0]].concat(manifestArgs));
+		var manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8')).assets;
+
+		expect(output.code).to.equal(cli.exitCodes.ok);
+		expect(output.stdout).to.equal(manifest[testFiles[0]].path + '\n');
+	})
+
+	it('Should exit with error code if original file is not in manifest', function() {
+		runCli(['hash', testFiles[0]].concat(manifestArgs));
+
+		expect(runCli(['lookup', 'bogus.png'].concat(manifestArgs)).code).to.equal(cli.exitCodes.error);
+	})
+
+	it('Should print manifest diff as text', function() {
+		var releaseFile = path.join(tmpDir, 'release.json');
+
+		runCli(['hash', testFiles[0]].concat(manifestArgs));
+
+		var release = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+		var previous = release.assets[testFiles[0]].path;
+
+		release.assets['tmp/img/old.png'] = {hashed: true, hash: 'aH4urSold', original: 'tmp/img/old.png', path: 'tmp/img/old-aH4urSold.png', type: 'png'};
+		fs.writeFileSync(releaseFile, JSON.stringify(release));
+		fs.writeFileSync(testFiles[0], 'changed');
+		runCli(['hash', tmpDir + 'img/*'].concat(manifestArgs));
+
+		var manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8')).assets;
+		var output = runCli(['diff', releaseFile].concat(manifestArgs));
+
+		expect(output.code).to.equal(cli.exitCodes.ok);
+		expect(output.stdout).to.equal([
+			'+ ' + testFiles[1] + ' => ' + manifest[testFiles[1]].path,
+			'- tmp/img/old.png (was tmp/img/old-aH4urSold.png)',
+			'~ ' + testFiles[0] + ' => ' + manifest[testFiles[0]].path + ' (was ' + previous + ')',
+			'1 added, 1 removed, 1 rehashed, 0 unchanged',
+			''
+		].join('\n'));
+	})
+
+	it('Should print manifest diff as JSON', function() {
+		var releaseFile = path.join(tmpDir, 'release.json');
+
+		runCli(['hash', tmpDir + 'img/*'].concat(manifestArgs));
+		fs.writeFileSync(releaseFile, fs.readFileSync(manifestFile));
+
+		var diff = JSON.parse(runCli(['diff', releaseFile, manifestFile, '--json']).stdout);
+
+		expect(diff.added).to.be.empty;
+		expect(diff.rehashed).to.be.empty;
+		expect(diff.unchanged).to.have.all.keys(testFiles);
+	})
+
+	it('Should exit with error code if manifest to diff is missing', function() {
+		var output = runCli(['diff', path.join(tmpDir, 'missing.json')].concat(manifestArgs));
+
+		expect(output.code).to.equal(cli.exitCodes.error);
+		expect(output.stderr).to.contain('Manifest not found');
+	})
+
+	it('Should clean hashed files and manifest', function() {
+		runCli(['hash', tmpDir + 'img/*'].concat(manifestArgs));
+
+		var output = runCli(['clean'].concat(manifestArgs));
+
+		expect(output.code).to.equal(cli.exitCodes.ok);
+		expect(fs.existsSync(manifestFile)).to.be.false;
+		expect(fs.readdirSync(path.join(tmpDir, 'img')).sort()).to.deep.equal(['bg.jpg', 'logo.png']);
+	})
+
+	it('Should clean compressed variants of hashed files', function() {
+		var styles = path.join(tmpDir, 'styles.css');
+
+		fs.writeFileSync(styles, 'body { margin: 0; }');
+		runCli(['hash', styles, '--compress'].concat(manifestArgs));
+
+		var output = runCli(['clean'].concat(manifestArgs));
+
+		expect(output.code).to.equal(cli.exitCodes.ok);
+		expect(fs.readdirSync(tmpDir).sort()).to.deep.equal(['img', 'styles.css']);
+	})
+
+	it('Should only clean expired versions with --expired', function() {
+		runCli(['hash', testFiles[0], '--keep', '1'].concat(manifestArgs));
+		fs.writeFileSync(testFiles[0], 'changed');
+		runCli(['hash', testFiles[0], '--keep', '1'].concat(manifestArgs));
+
+		var previous = JSON.parse(fs.readFileSync(manifestFile, 'utf8')).assets[testFiles[0]].versions[0].path;
+		var output = runCli(['clean', '--expired', '--keep', '0'].concat(manifestArgs));
+		var manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8')).assets;
+
+		expect(output.code).to.equal(cli.exitCodes.ok);
+		expect(output.stdout).to.equal('Removed ' + previous + '\n');
+		expect(manifest[testFiles[0]].versions).to.be.empty;
+		expect(fs.existsSync(manifest[testFiles[0]].path)).to.be.true;
+	})
+
+	it('Should set process exit code when run as bin', function() {
+		var result = childProcess.spawnSync(process.execPath, [path.resolve('bin/asset_hash.js'), 'lookup', 'bogus.png'].concat(manifestArgs));
+
+		expect(result.status).to.equal(cli.exitCodes.error);
+	})
+
+});
@@ -0,0 +1,69 @@
+/**
+ * Test error types
+ */
+
+var	expect		= require('chai').expect;
+var errors		= require('../lib/errors');
+
+
+describe('Test error types', function() {
+
+	it('Should be errors and asset hash errors', function() {
+		var error = new errors.NoMatchError('img/*');
+
+		expect(error).to.be.an.instanceof(Error);
+		expect(error).to.be.an.instanceof(errors.AssetHashError);
+		expect(error).to.be.an.instanceof(errors.NoMatchError);
+		expect(error.stack).to.contain('NoMatchError');
+	})
+
+	it('Should name errors after their type', function() {
+		expect(new errors.UnknownHasherError('bogus').name).to.equal('UnknownHasherError');
+		expect(new errors.NoMatchError('img/*').name).to.equal('NoMatchError');
+	})
+
+	it('Should keep pattern of glob that matched no files', function() {
+		var error = new errors.NoMatchError('img/*');
+
+		expect(error.pattern).to.equal('img/*');
+		expect(error.message).to.equal('No files matched: img/*');
+	})
+
+	it('Should keep hasher name', function() {
+		var error = new errors.UnknownHasherError('bogus');
+
+		expect(error.hasher).to.equal('bogus');
+		expect(error.message).to.contain('Unknown hasher: bogus');
+	})
+
+	it('Should keep manifest path and parse error', function() {
+		var cause = new SyntaxError('Unexpected end of JSON input');
+		var error = new errors.ManifestParseError('assets.json', cause);
+
+		expect(error.path).to.equal('assets.json');
+		expect(error.cause).to.equal(cause);
+		expect(error.message).to.contain(cause.message);
+	})
+
+	it('Should keep schema versions of manifest', function() {
+		var error = new errors.ManifestVersionError(3, 2, 'assets.json');
+
+		expect(error.version).to.equal(3);
+		expect(error.supported).to.equal(2);
+		expect(error.path).to.equal('assets.json');
+		expect(error.message).to.contain('assets.json');
+	})
+
+	it('Should keep path and code of write errors', function() {
+		var cause = new Error('EACCES: permission denied');
+
+		cause.code = 'EACCES';
+
+		var error = new errors.WriteError('img/logo-aH4urS1a2b3c4d.png', cause);
+
+		expect(error.path).to.equal('img/logo-aH4urS1a2b3c4d.png');
+		expect(error.code).to.equal('EACCES');
+		expect(error.cause).to.equal(cause);
+	})
+
+});
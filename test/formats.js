@@ -0,0 +1,149 @@
+/**
+ * Test manifest formats
+ */
+
+var	expect		= require('chai').expect;
+var errors		= require('../lib/errors');
+var formats		= require('../lib/formats');
+
+
+// Test variables
+
+var options = {hasher: 'md5', hashKey: 'aH4urS', publicPath: '/static/'};
+var assets = {
+	'img/logo.png': {
+		hashed: true,
+		hash: 'aH4urS1a2b3c4d',
+		original: 'img/logo.png',
+		path: 'img/logo-aH4urS1a2b3c4d.png',
+		type: 'png',
+		mime: 'image/png'
+	},
+	'css/app.css': {
+		hashed: true,
+		hash: 'aH4urS5e6f7a8b',
+		original: 'css/app.css',
+		path: 'css/app-aH4urS5e6f7a8b.css',
+		type: 'css',
+		mime: 'text/css'
+	}
+};
+
+
+describe('Test manifest formats', function() {
+
+	it('Should list available formats', function() {
+		expect(formats.names).to.include.members(['default', 'pretty', 'rev', 'webpack']);
+	})
+
+	it('Should throw for unknown format', function() {
+		expect(formats.get.bind(formats, 'bogus')).to.throw(Error, 'bogus');
+	})
+
+	it('Should serialize default format as compact JSON with header', function() {
+		var contents = formats.get('default').serialize(assets, options);
+
+		expect(contents).to.not.contain('\n');
+		expect(JSON.parse(contents).assets).to.deep.equal(assets);
+	})
+
+	it('Should write manifest header', function() {
+		var before = Date.now();
+		var header = JSON.parse(formats.get('default').serialize(assets, options)).manifest;
+
+		expect(header.schema).to.equal(formats.schemaVersion);
+		expect(header.generator).to.equal('asset_hash@' + require('../package.json').version);
+		expect(header.hasher).to.equal('md5');
+		expect(header.hashKey).to.equal('aH4urS');
+		expect(header.generated).to.be.within(before, Date.now());
+	})
+
+	it('Should serialize pretty format with sorted keys', function() {
+		var contents = formats.get('pretty').serialize(assets, options);
+
+		expect(contents).to.contain('\n    "css/app.css"');
+		expect(contents.indexOf('css/app.css')).to.be.below(contents.indexOf('img/logo.png'));
+		expect(JSON.parse(contents).manifest.schema).to.equal(formats.schemaVersion);
+	})
+
+	it('Should serialize rev format as flat map of original to hashed paths', function() {
+		expect(JSON.parse(formats.get('rev').serialize(assets, options))).to.deep.equal({
+			'css/app.css': 'css/app-aH4urS5e6f7a8b.css',
+			'img/logo.png': 'img/logo-aH4urS1a2b3c4d.png'
+		});
+	})
+
+	it('Should serialize webpack format with public path', function() {
+		expect(JSON.parse(formats.get('webpack').serialize(assets, options))).to.deep.equal({
+			'css/app.css': '/static/css/app-aH4urS5e6f7a8b.css',
+			'img/logo.png': '/static/img/logo-aH4urS1a2b3c4d.png'
+		});
+	});
+
+	it('Should join public path without trailing slash in webpack format', function() {
+		var cdn = {hashKey: 'aH4urS', publicPath: 'https://cdn.example.com'};
+		var format = formats.get('webpack');
+
+		expect(JSON.parse(format.serialize(assets, cdn))['img/logo.png']).to.equal('https://cdn.example.com/img/logo-aH4urS1a2b3c4d.png');
+		expect(format.parse(format.serialize(assets, cdn), cdn)).to.deep.equal(assets);
+	});
+
+	['default', 'pretty', 'rev', 'webpack'].forEach(function(name) {
+		it('Should parse ' + name + ' format back to asset library', function() {
+			var format = formats.get(name);
+
+			expect(format.parse(format.serialize(assets, options), options)).to.deep.equal(assets);
+		})
+	});
+
+	it('Should parse flat manifest with default format', function() {
+		expect(formats.get('default').parse(formats.get('rev').serialize(assets, options), options)).to.deep.equal(assets);
+	})
+
+	it('Should migrate unversioned manifest', function() {
+		var unversioned = {
+			'img/logo.png': {hashed: true, hash: 'aH4urS1a2b3c4d', original: 'img/logo.png', path: 'img/logo-aH4urS1a2b3c4d.png', type: 'png'}
+		};
+
+		expect(formats.get('default').parse(JSON.stringify(unversioned), options)).to.deep.equal({'img/logo.png': assets['img/logo.png']});
+	})
+
+	it('Should refuse manifest with newer schema version', function() {
+		var contents = JSON.stringify({manifest: {schema: formats.schemaVersion + 1}, assets: assets});
+
+		expect(formats.get('default').parse.bind(null, contents, options)).to.throw(errors.ManifestVersionError, 'Upgrade');
+	})
+
+	it('Should parse base64url hashes from flat manifest', function() {
+		var parsed = formats.get('rev').parse(JSON.stringify({'js/app.js': 'js/app-aH4urS-x_9Zq.js'}), options);
+
+		expect(parsed['js/app.js'].hash).to.equal('aH4urS-x_9Zq');
+	})
+
+	it('Should use custom serialize function', function() {
+		var format = formats.get(function(assets) {
+			return Object.keys(assets).join('\n');
+		});
+
+		expect(format.serialize(assets, options)).to.equal('img/logo.png\ncss/app.css');
+		expect(format.parse).to.be.null;
+	})
+
+	it('Should use custom serialize and parse functions', function() {
+		var custom = {
+			serialize: function() {
+				return 'custom';
+			},
+			parse: function() {
+				return assets;
+			}
+		};
+
+		expect(formats.get(custom).parse('custom', options)).to.equal(assets);
+	})
+
+	it('Should throw for invalid custom format', function() {
+		expect(formats.get.bind(formats, {parse: function() {}})).to.throw(Error);
+	})
+
+});
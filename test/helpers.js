@@ -0,0 +1,137 @@
+/**
+ * Test view helpers
+ */
+
+var _			= require('lodash');
+var	expect		= require('chai').expect;
+var fs			= require('fs');
+var	hasher		= require('../');
+var path		= require('path');
+var removeTestDir	= require('./support/utils').removeTestDir;
+
+
+// Test variables
+
+var tmpDir		= 'tmp/';
+var testFiles	= [
+	path.join(tmpDir, 'js/main.js'),
+	path.join(tmpDir, 'css/styles.css'),
+	path.join(tmpDir, 'img/logo.png')
+];
+
+
+// Utility Functions
+
+/**
+ * Minimal Handlebars stand in that records registered helpers
+ *
+ * @return {object} Object with registerHelper, SafeString and the registered helpers
+ */
+function createHandlebars() {
+	var SafeString = function(value) {
+		this.value = value;
+	};
+
+	var handlebars = {
+		helpers: {},
+		SafeString: SafeString,
+		registerHelper: function(name, fn) {
+			handlebars.helpers[name] = fn;
+		}
+	};
+
+	return handlebars;
+}
+
+
+describe('Test view helpers', function() {
+
+	var instance;
+	var results;
+
+	beforeEach(function() {
+		fs.mkdirSync(tmpDir);
+
+		testFiles.forEach(function(file, index) {
+			fs.mkdirSync(path.dirname(file));
+			fs.writeFileSync(file, 'test file ' + index);
+		});
+
+		instance = hasher.create({manifest: false, save: false});
+		results = instance.hashFiles(testFiles, {integrity: true});
+	})
+
+	afterEach(function() {
+		removeTestDir(tmpDir);
+	})
+
+	it('Should get url of hashed file', function() {
+		expect(instance.helpers().assetUrl(testFiles[2])).to.equal('/' + results[2].path);
+		expect(instance.helpers().assetUrl('/' + testFiles[2])).to.equal('/' + results[2].path);
+	})
+
+	it('Should prefix urls with public path', function() {
+		var helpers = instance.helpers({publicPath: 'https://cdn.example.com/static/'});
+
+		expect(helpers.assetUrl(testFiles[2])).to.equal('https://cdn.example.com/static/' + results[2].path);
+	})
+
+	it('Should use unknown paths as they are', function() {
+		expect(instance.helpers().assetUrl('img/missing.png')).to.equal('/img/missing.png');
+	})
+
+	it('Should use current asset library', function() {
+		var assetUrl = instance.helpers().assetUrl;
+
+		fs.writeFileSync(testFiles[2], 'changed');
+
+		var hashInfo = instance.hashFiles(testFiles[2], {save: false});
+
+		expect(assetUrl(testFiles[2])).to.equal('/' + hashInfo.path);
+	})
+
+	it('Should build script tag with integrity', function() {
+		expect(instance.helpers().scriptTag(testFiles[0], {defer: true, async: false})).to.equal(
+			'<script src="/' + results[0].path + '" integrity="' + results[0].integrity + '" crossorigin="anonymous" defer></script>'
+		);
+	})
+
+	it('Should build style tag with integrity', function() {
+		expect(instance.helpers({crossorigin: 'use-credentials'}).styleTag(testFiles[1], {media: 'print'})).to.equal(
+			'<link rel="stylesheet" href="/' + results[1].path + '" integrity="' + results[1].integrity + '" crossorigin="use-credentials" media="print">'
+		);
+	})
+
+	it('Should leave out integrity if asset has none', function() {
+		instance.updateAsset(testFiles[0], {integrity: ''});
+
+		expect(instance.helpers().scriptTag(testFiles[0])).to.equal('<script src="/' + results[0].path + '"></script>');
+	})
+
+	it('Should build img tag with escaped attributes', function() {
+		expect(instance.helpers().imgTag(testFiles[2], {alt: 'Logo "Co" & <Sons>'})).to.equal(
+			'<img src="/' + results[2].path + '" alt="Logo &quot;Co&quot; &amp; &lt;Sons&gt;">'
+		);
+	})
+
+	it('Should register Handlebars helpers', function() {
+		var handlebars = instance.helpers().registerHandlebars(createHandlebars());
+		var tag = handlebars.helpers.imgTag(testFiles[2], {hash: {alt: 'Logo'}});
+
+		expect(handlebars.helpers).to.have.all.keys('assetUrl', 'scriptTag', 'styleTag', 'imgTag');
+		expect(tag).to.be.an.instanceof(handlebars.SafeString);
+		expect(tag.value).to.equal('<img src="/' + results[2].path + '" alt="Logo">');
+		expect(handlebars.helpers.assetUrl(testFiles[2], {hash: {}})).to.equal('/' + results[2].path);
+	})
+
+	it('Should register lodash template imports', function() {
+		var lodash = _.runInContext();
+
+		instance.helpers().registerLodash(lodash);
+
+		expect(lodash.template('<%= styleTag("' + testFiles[1] + '") %>')()).to.contain('href="/' + results[1].path + '"');
+		expect(lodash.template('<%- assetUrl("' + testFiles[2] + '") %>')()).to.equal('/' + results[2].path);
+		expect(lodash.templateSettings.imports._).to.be.a('function');
+	})
+
+});
@@ -9,7 +9,9 @@ var fs			= require('fs');
 var glob		= require('glob');
 var	hasher		= require('../');
 var path		= require('path');
+var removeTestDir	= require('./support/utils').removeTestDir;
 var vinyl		= require('vinyl-file');
+var zlib		= require('zlib');
 
 
 // Test variables
@@ -57,32 +59,6 @@ var jsDir		= path.join(tmpDir, 'js');
 
 // Utility Functions
 
-/**
- * Clean up  test environment
- *
- * @param {string} path The path to directory to remove
- */
-function removeTestDir(dirPath) {
-	var files = [];
-
-	if(fs.lstatSync(dirPath).isDirectory()) {
-		files = fs.readdirSync(dirPath);
-
-		files.forEach(function(file, index) {
-			var curPath = path.join(dirPath, file);
-
-			if(fs.lstatSync(curPath).isDirectory()) {
-				removeTestDir(curPath);
-			} else {
-				fs.unlinkSync(curPath);
-			}
-		});
-
-		fs.rmdirSync(dirPath);
-    }
-}
-
-
 /**
  * Add test files
  *
@@ -209,7 +185,7 @@ describe('Test utility functions', function() {
 
 describe('Test methods exist', function() {
 
-	var methods = ['get', 'set', 'hashFiles', 'loadManifest', 'getAsset', 'getAssets', 'getAssetFile', 'resetAssets', 'saveManifest', 'updateAsset'];
+	var methods = ['get', 'set', 'hashFiles', 'hashFilesAsync', 'rewriteReferences', 'clean', 'loadManifest', 'getAsset', 'getAssets', 'getAssetFile', 'resetAssets', 'saveManifest', 'updateAsset', 'registerHasher', 'getHashers', 'getCacheStats', 'diffManifests', 'helpers', 'middleware', 'on'];
 
 	methods.forEach(function(method) {
 		it('Should have a ' + method + ' method', function() {
@@ -220,6 +196,75 @@ describe('Test methods exist', function() {
 });
 
 
+describe('Test independent hashers', function() {
+
+	afterEach(function() {
+		try {
+			removeTestDir(tmpDir);
+		}
+		catch(e) {}
+	})
+
+	it('Should have a create method', function() {
+		expect(hasher.create).to.be.a('function');
+	})
+
+	it('Should create a hasher with the same methods', function() {
+		var instance = hasher.create();
+
+		['get', 'set', 'hashFiles', 'loadManifest', 'getAssets', 'saveManifest'].forEach(function(method) {
+			expect(instance[method]).to.be.a('function');
+		});
+	})
+
+	it('Should apply options passed to create', function() {
+		var instance = hasher.create({length: 12, manifest: 'images.json'});
+
+		expect(instance.get('length')).to.equal(12);
+		expect(instance.get('manifest')).to.equal('images.json');
+		expect(instance.get('hasher')).to.equal('sha1');
+	})
+
+	it('Should not share config between hashers', function() {
+		var images = hasher.create();
+		var scripts = hasher.create();
+
+		images.set({length: 4});
+
+		expect(images.get('length')).to.equal(4);
+		expect(scripts.get('length')).to.equal(8);
+		expect(hasher.get('length')).to.equal(8);
+	})
+
+	it('Should not share asset library between hashers', function() {
+		var images = hasher.create();
+		var scripts = hasher.create();
+
+		addTestFiles(testFiles);
+		images.hashFiles(testFiles[0]);
+		scripts.resetAssets();
+
+		expect(images.getAsset(testFiles[0])).to.be.an('object');
+		expect(scripts.getAsset(testFiles[0])).to.be.null;
+	})
+
+	it('Should not share loaded manifest between hashers', function() {
+		var images = hasher.create();
+		var scripts = hasher.create();
+		var options = {manifest: testManifestFilename, path: tmpDir};
+
+		addTestManifest(tmpDir + testManifestFilename, testManifest);
+		images.loadManifest(options);
+		scripts.loadManifest(options);
+		images.updateAsset(tmpDir + 'img/logo.png', {path: 'updated.png'});
+
+		expect(images.getAssetFile(tmpDir + 'img/logo.png')).to.equal('updated.png');
+		expect(scripts.getAssetFile(tmpDir + 'img/logo.png')).to.equal(tmpDir + 'img/logo.png');
+	})
+
+});
+
+
 describe('Test config functionality', function() {
 
 	it('Should get all config', function() {
@@ -229,7 +274,7 @@ describe('Test config functionality', function() {
 	})
 
 	it('Should have default config values', function() {
-		var defaults = ['base', 'hasher', 'hashKey', 'length', 'manifest', 'path', 'replace', 'save', 'template'];
+		var defaults = ['base', 'cache', 'cascade', 'compress', 'conflict', 'dest', 'dot', 'dryRun', 'encoding', 'force', 'format', 'hasher', 'hashKey', 'ignore', 'include', 'integrity', 'keep', 'length', 'manifest', 'maxAge', 'merge', 'path', 'publicPath', 'replace', 'save', 'skipGenerated', 'sourceMaps', 'strict', 'template'];
 		var	config = hasher.get();
 
 		expect(config).to.have.all.keys(defaults);
@@ -456,6 +501,217 @@ describe('Test hashing functionality', function() {
 });
 
 
+describe('Test asynchronous hashing functionality', function() {
+
+	beforeEach(function() {
+		addTestFiles(testFiles);
+		hasher.resetAssets();
+	})
+
+	afterEach(function() {
+		removeTestDir(tmpDir);
+	})
+
+	it('Should return a promise', function() {
+		var promise = hasher.hashFilesAsync(testFiles[0]);
+
+		expect(promise.then).to.be.a('function');
+
+		return promise;
+	})
+
+	it('Should resolve with an object once hashed file is written', function() {
+		return hasher.hashFilesAsync(testFiles[0]).then(function(hashInfo) {
+			expect(hashInfo).to.be.an('object');
+			expect(hashInfo.hashed).to.be.true;
+			expect(hashInfo.original).to.equal(testFiles[0]);
+			expect(fs.readFileSync(hashInfo.path, 'utf8')).to.equal(fs.readFileSync(testFiles[0], 'utf8'));
+		});
+	})
+
+	it('Should resolve with an array if multiple files are hashed', function() {
+		return hasher.hashFilesAsync(testFiles).then(function(hashInfo) {
+			expect(hashInfo).to.be.a('array').and.have.length(testFiles.length);
+
+			hashInfo.forEach(function(fileInfo, index) {
+				expect(fileInfo.original).to.equal(testFiles[index]);
+				expect(fs.lstatSync(fileInfo.path).isFile()).to.be.ok;
+			});
+		});
+	})
+
+	it('Should hash files in a directory', function() {
+		var files = glob.sync(path.join(jsDir, '**/*.js'));
+
+		return hasher.hashFilesAsync(jsDir).then(function(hashInfo) {
+			expect(hashInfo).to.be.a('array').and.have.length(files.length);
+		});
+	})
+
+	it('Should hash vinyl file', function() {
+		return hasher.hashFilesAsync(vinyl.readSync(testFiles[0])).then(function(hashInfo) {
+			expect(hashInfo.hashed).to.be.true;
+			expect(fs.lstatSync(hashInfo.path).isFile()).to.be.ok;
+		});
+	})
+
+	it('Should write hashed file before replacing original file', function() {
+		var contents = fs.readFileSync(testFiles[0], 'utf8');
+
+		return hasher.hashFilesAsync(testFiles[0], {replace: true}).then(function(hashInfo) {
+			expect(fs.readFileSync(hashInfo.path, 'utf8')).to.equal(contents);
+			expect(fs.existsSync(hashInfo.original)).to.be.false;
+		});
+	})
+
+	it('Should remove previously hashed file', function() {
+		var hash1Info;
+
+		return hasher.hashFilesAsync(testFiles[0])
+			.then(function(hashInfo) {
+				hash1Info = hashInfo;
+				fs.appendFileSync(testFiles[0], 'appending more test content');
+
+				return hasher.hashFilesAsync(testFiles[0]);
+			})
+			.then(function(hash2Info) {
+				expect(hash2Info.path).to.not.equal(hash1Info.path);
+				expect(fs.existsSync(hash1Info.path)).to.be.false;
+				expect(fs.lstatSync(hash2Info.path).isFile()).to.be.ok;
+			});
+	})
+
+	it('Should have written all hashed files before manifest is saved', function() {
+		return hasher.hashFilesAsync(testFiles).then(function() {
+			hasher.saveManifest({path: tmpDir});
+
+			var manifest = JSON.parse(fs.readFileSync(path.join(tmpDir, hasher.get('manifest')), 'utf8')).assets;
+
+			_.forEach(manifest, function(asset) {
+				expect(fs.lstatSync(asset.path).isFile()).to.be.ok;
+			});
+		});
+	})
+
+	it('Should reject when hashed file can not be written', function() {
+		var hashInfo = hasher.hashFiles(testFiles[0], {save: false});
+
+		hasher.resetAssets();
+		fs.mkdirSync(hashInfo.path);
+
+		return hasher.hashFilesAsync(testFiles[0]).then(function() {
+			throw new Error('Expected hashFilesAsync to reject');
+		}, function(err) {
+			expect(err).to.be.an.instanceof(Error);
+			expect(err.code).to.exist;
+		});
+	})
+
+});
+
+
+describe('Test binary and stream hashing', function() {
+
+	var binaryFile = tmpDir + 'img/binary.png';
+	var binaryContents = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0xff, 0xfe, 0x00, 0x80, 0xc3, 0x28, 0xa0, 0xa1]);
+
+	/**
+	 * Get expected hash for contents using the current config
+	 *
+	 * @param {buffer} contents The contents to hash
+	 * @return {string} The expected hash
+	 */
+	function expectedHash(contents) {
+		return hasher.get('hashKey') + crypto.createHash(hasher.get('hasher')).update(contents).digest('hex').slice(0, hasher.get('length'));
+	}
+
+	beforeEach(function() {
+		addTestFiles(testFiles);
+		fs.writeFileSync(binaryFile, binaryContents);
+		hasher.resetAssets();
+	})
+
+	afterEach(function() {
+		removeTestDir(tmpDir);
+	})
+
+	it('Should hash raw bytes of binary file', function() {
+		var hashInfo = hasher.hashFiles(binaryFile, {save: false});
+
+		expect(hashInfo.hash).to.equal(expectedHash(binaryContents));
+	})
+
+	it('Should generate same hash for binary file path and vinyl buffer', function() {
+		var pathInfo = hasher.create().hashFiles(binaryFile, {save: false});
+		var vinylInfo = hasher.create().hashFiles(vinyl.readSync(binaryFile), {save: false});
+
+		expect(vinylInfo.hash).to.equal(pathInfo.hash);
+	})
+
+	it('Should hash string contents as raw bytes', function() {
+		var hashInfo = hasher.hashFiles({path: path.resolve(testFiles[0]), contents: 'test file 0'}, {save: false});
+
+		expect(hashInfo.hash).to.equal(expectedHash(Buffer.from('test file 0')));
+	})
+
+	it('Should hash vinyl file with stream contents asynchronously', function() {
+		var file = vinyl.readSync(binaryFile, {buffer: false});
+
+		return hasher.hashFilesAsync(file, {save: false}).then(function(hashInfo) {
+			expect(hashInfo.hash).to.equal(expectedHash(binaryContents));
+		});
+	})
+
+	it('Should keep stream contents readable after hashing', function() {
+		var file = vinyl.readSync(binaryFile, {buffer: false});
+
+		return hasher.hashFilesAsync(file, {save: false}).then(function() {
+			return new Promise(function(resolve) {
+				var chunks = [];
+
+				file.contents.on('data', function(chunk) {
+					chunks.push(chunk);
+				});
+
+				file.contents.on('end', function() {
+					expect(Buffer.concat(chunks).equals(binaryContents)).to.be.true;
+					resolve();
+				});
+			});
+		});
+	})
+
+	it('Should throw when hashing stream contents synchronously', function() {
+		var file = vinyl.readSync(binaryFile, {buffer: false});
+
+		expect(hasher.hashFiles.bind(hasher, file)).to.throw(Error, 'hashFilesAsync');
+	})
+
+	it('Should hash empty file', function() {
+		var expected = crypto.createHash(hasher.get('hasher')).digest('hex').slice(0, hasher.get('length'));
+
+		fs.writeFileSync(testFiles[0], '');
+
+		expect(hasher.hashFiles(testFiles[0], {save: false}).hash).to.equal(hasher.get('hashKey') + expected);
+	})
+
+	it('Should call custom hasher for empty file', function() {
+		var instance = hasher.create();
+		var contents = null;
+
+		instance.registerHasher('empty', function(buffer) {
+			contents = buffer;
+			return 'e0';
+		});
+		fs.writeFileSync(testFiles[0], '');
+
+		expect(instance.hashFiles(testFiles[0], {hasher: 'empty', save: false}).hash).to.equal(instance.get('hashKey') + 'e0');
+		expect(Buffer.isBuffer(contents) && contents.length).to.equal(0);
+	})
+
+});
+
+
 describe('Test asset library and manifest', function() {
 
 	beforeEach(function() {
@@ -564,6 +820,29 @@ describe('Test asset library and manifest', function() {
 		expect(fs.lstatSync(path.join(tmpDir, manifestFile)).isFile()).to.be.ok;
 	})
 
+	it('Should keep unsaved entries when hashing more files before saving manifest', function() {
+		var options = {manifest: 'assets.json', path: tmpDir};
+		var instance = hasher.create(options);
+
+		instance.hashFiles(testFiles[2]);
+		instance.saveManifest();
+
+		var previous = instance.getAssetFile(testFiles[2]);
+
+		fs.appendFileSync(testFiles[2], 'changed');
+		instance.hashFiles(testFiles[2]);
+		instance.updateAsset(testFiles[2], {type: 'image'});
+		instance.hashFiles(testFiles[3]);
+		instance.saveManifest();
+
+		var manifest = JSON.parse(fs.readFileSync(tmpDir + 'assets.json', 'utf8')).assets;
+
+		expect(manifest[testFiles[2]].path).to.not.equal(previous);
+		expect(manifest[testFiles[2]].path).to.equal(instance.getAssetFile(testFiles[2]));
+		expect(manifest[testFiles[2]].type).to.equal('image');
+		expect(manifest).to.include.keys(testFiles[3]);
+	})
+
 	it('Should not save a manifest file if manifest config is false or null', function() {
 		var manifestFile = path.join(tmpDir, hasher.get('manifest'));
 
@@ -575,4 +854,1786 @@ describe('Test asset library and manifest', function() {
 		expect(fs.lstatSync.bind(fs.lstatSync, manifestFile)).to.throw(Error, "ENOENT, no such file or directory");
 	})
 
-});
\ No newline at end of file
+});
+
+
+describe('Test manifest merging', function() {
+
+	var manifestOptions = {manifest: testManifestFilename, path: tmpDir};
+	var logo = tmpDir + 'img/logo.png';
+
+	beforeEach(function() {
+		addTestFiles(testFiles);
+		addTestManifest(tmpDir + testManifestFilename, testManifest);
+	})
+
+	afterEach(function() {
+		removeTestDir(tmpDir);
+	})
+
+	it('Should default to not merging and preferring new entries', function() {
+		expect(hasher.get('merge')).to.be.false;
+		expect(hasher.get('conflict')).to.equal('new');
+	})
+
+	it('Should replace asset library when loading manifest without merge', function() {
+		var instance = hasher.create();
+
+		instance.hashFiles(testFiles[0], {save: false});
+		instance.loadManifest(manifestOptions);
+
+		expect(instance.getAsset(testFiles[0])).to.be.null;
+	})
+
+	it('Should merge manifest into asset library when loading manifest', function() {
+		var instance = hasher.create();
+
+		instance.hashFiles(testFiles[0], {save: false});
+		instance.loadManifest(_.assign({merge: true}, manifestOptions));
+
+		expect(instance.getAsset(testFiles[0])).to.be.an('object');
+		expect(_.size(instance.getAssets())).to.equal(_.size(testManifest) + 1);
+	})
+
+	it('Should prefer asset library entry when loading with new conflict strategy', function() {
+		var instance = hasher.create();
+
+		instance.hashFiles(logo, {save: false});
+		instance.loadManifest(_.assign({merge: true, conflict: 'new'}, manifestOptions));
+
+		expect(instance.getAsset(logo).hashed).to.be.true;
+	})
+
+	it('Should prefer manifest entry when loading with existing conflict strategy', function() {
+		var instance = hasher.create();
+
+		instance.hashFiles(logo, {save: false});
+		instance.loadManifest(_.assign({merge: true, conflict: 'existing'}, manifestOptions));
+
+		expect(instance.getAsset(logo)).to.deep.equal(_.assign({mime: 'image/png'}, testManifest[logo]));
+	})
+
+	it('Should throw on conflict when loading with error conflict strategy', function() {
+		var instance = hasher.create();
+
+		instance.hashFiles(logo, {save: false});
+
+		expect(instance.loadManifest.bind(instance, _.assign({merge: true, conflict: 'error'}, manifestOptions))).to.throw(Error, logo);
+	})
+
+	it('Should not throw for identical entries with error conflict strategy', function() {
+		var instance = hasher.create();
+
+		instance.loadManifest(manifestOptions);
+
+		expect(instance.loadManifest(_.assign({merge: true, conflict: 'error'}, manifestOptions))).to.be.true;
+	})
+
+	it('Should throw for unknown conflict strategy', function() {
+		var instance = hasher.create();
+
+		expect(instance.loadManifest.bind(instance, _.assign({merge: true, conflict: 'bogus'}, manifestOptions))).to.throw(Error, 'bogus');
+	})
+
+	it('Should keep entries from other build steps when saving with merge', function() {
+		var images = hasher.create(_.assign({merge: true}, manifestOptions));
+		var scripts = hasher.create(_.assign({merge: true}, manifestOptions));
+
+		images.hashFiles(testFiles[0], {save: false});
+		images.saveManifest();
+		scripts.hashFiles(testFiles[6], {save: false});
+		scripts.saveManifest();
+
+		var manifest = JSON.parse(fs.readFileSync(tmpDir + testManifestFilename, 'utf8')).assets;
+
+		expect(manifest).to.include.keys(_.keys(testManifest).concat([testFiles[0], testFiles[6]]));
+	});
+
+	['existing', 'error'].forEach(function(conflict) {
+		it('Should keep rehashed entry when saving with ' + conflict + ' conflict strategy', function() {
+			var instance = hasher.create(_.assign({merge: true, conflict: conflict}, manifestOptions));
+
+			instance.hashFiles(testFiles[0]);
+			instance.saveManifest();
+			fs.appendFileSync(testFiles[0], 'changed');
+			instance.hashFiles(testFiles[0]);
+
+			var rehashed = _.clone(instance.getAsset(testFiles[0]));
+
+			instance.saveManifest();
+
+			var manifest = JSON.parse(fs.readFileSync(tmpDir + testManifestFilename, 'utf8')).assets;
+
+			expect(manifest[testFiles[0]]).to.deep.equal(rehashed);
+			expect(fs.existsSync(manifest[testFiles[0]].path)).to.be.true;
+		})
+	});
+
+	it('Should keep entries another build step changed since loading when saving with merge', function() {
+		var images = hasher.create(_.assign({merge: true, conflict: 'error'}, manifestOptions));
+		var scripts = hasher.create(_.assign({merge: true, conflict: 'error'}, manifestOptions));
+
+		images.loadManifest();
+		scripts.loadManifest();
+		images.hashFiles(logo, {save: false});
+		images.saveManifest();
+		scripts.hashFiles(testFiles[6], {save: false});
+		scripts.saveManifest();
+
+		var manifest = JSON.parse(fs.readFileSync(tmpDir + testManifestFilename, 'utf8')).assets;
+
+		expect(manifest[logo]).to.deep.equal(images.getAsset(logo));
+		expect(manifest).to.include.keys(testFiles[6]);
+	})
+
+	it('Should throw for entries changed by another build step and asset library with error conflict strategy', function() {
+		var first = hasher.create(_.assign({merge: true, conflict: 'error'}, manifestOptions));
+		var second = hasher.create(_.assign({merge: true, conflict: 'error'}, manifestOptions));
+
+		first.loadManifest();
+		second.loadManifest();
+		first.hashFiles(logo, {save: false});
+		first.saveManifest();
+		fs.appendFileSync(logo, 'changed');
+		second.hashFiles(logo, {save: false});
+
+		expect(second.saveManifest.bind(second)).to.throw(Error, logo);
+	})
+
+	it('Should overwrite manifest file when saving without merge', function() {
+		var instance = hasher.create();
+
+		instance.hashFiles(testFiles[0], {save: false});
+		instance.saveManifest(manifestOptions);
+
+		var manifest = JSON.parse(fs.readFileSync(tmpDir + testManifestFilename, 'utf8')).assets;
+
+		expect(_.keys(manifest)).to.deep.equal([testFiles[0]]);
+	})
+
+});
+
+
+describe('Test reference rewriting', function() {
+
+	var instance;
+	var styles = tmpDir + 'css/styles.css';
+	var page = tmpDir + 'index.html';
+	var script = tmpDir + 'js/main.js';
+
+	beforeEach(function() {
+		addTestFiles(testFiles);
+		instance = hasher.create();
+		instance.hashFiles([testFiles[0], testFiles[2], testFiles[7]], {save: false});
+	})
+
+	afterEach(function() {
+		removeTestDir(tmpDir);
+	})
+
+	it('Should rewrite url() references relative to css file', function() {
+		fs.writeFileSync(styles, 'body { background: url("../img/bg.jpg?v=1"); } .logo { background: url(../img/logo.png); }');
+
+		var result = instance.rewriteReferences(styles);
+
+		expect(result.file).to.equal(styles);
+		expect(result.references).to.have.length(2);
+		expect(result.output).to.be.null;
+		expect(result.contents).to.equal('body { background: url("../' + path.relative(tmpDir, instance.getAssetFile(testFiles[0])) + '?v=1"); } .logo { background: url(../' + path.relative(tmpDir, instance.getAssetFile(testFiles[2])) + '); }');
+	})
+
+	it('Should rewrite src, href and srcset references in html', function() {
+		fs.writeFileSync(page, '<img src="img/logo.png" srcset="img/logo.png 1x, img/bg.jpg 2x"><a href="http://example.com/img/logo.png">');
+
+		var result = instance.rewriteReferences(page);
+
+		var logo = path.relative(tmpDir, instance.getAssetFile(testFiles[2]));
+		var bg = path.relative(tmpDir, instance.getAssetFile(testFiles[0]));
+
+		expect(result.contents).to.equal('<img src="' + logo + '" srcset="' + logo + ' 1x, ' + bg + ' 2x"><a href="http://example.com/img/logo.png">');
+	})
+
+	it('Should rewrite string and import references in js and keep them relative', function() {
+		fs.writeFileSync(script, 'import "./shoestring.min.js";\nvar logo = "../img/logo.png";');
+
+		var result = instance.rewriteReferences(script);
+
+		var shoestring = path.basename(instance.getAssetFile(testFiles[7]));
+		var logo = path.relative(jsDir, instance.getAssetFile(testFiles[2]));
+
+		expect(result.contents).to.equal('import "./' + shoestring + '";\nvar logo = "' + logo + '";');
+	})
+
+	it('Should use public path prefix for rewritten references', function() {
+		fs.writeFileSync(styles, '.logo { background: url(../img/logo.png); } .bg { background: url(/static/' + testFiles[0] + '); }');
+
+		expect(instance.rewriteReferences(styles, {publicPath: '/static/'}).contents).to.equal('.logo { background: url(/static/' + instance.getAssetFile(testFiles[2]) + '); } .bg { background: url(/static/' + instance.getAssetFile(testFiles[0]) + '); }');
+	})
+
+	it('Should rewrite references from base if they start with /', function() {
+		fs.writeFileSync(page, '<img src="/' + testFiles[2] + '">');
+
+		expect(instance.rewriteReferences(page).contents).to.equal('<img src="/' + instance.getAssetFile(testFiles[2]) + '">');
+	})
+
+	it('Should leave references that are not in asset library', function() {
+		fs.writeFileSync(styles, '.icon { background: url(../img/favicon.png); }');
+
+		var result = instance.rewriteReferences(styles);
+
+		expect(result.references).to.be.empty;
+		expect(result.contents).to.equal('.icon { background: url(../img/favicon.png); }');
+	})
+
+	it('Should never change original files', function() {
+		fs.writeFileSync(styles, '.logo { background: url(../img/logo.png); }');
+
+		instance.rewriteReferences(styles);
+
+		expect(fs.readFileSync(styles, 'utf8')).to.equal('.logo { background: url(../img/logo.png); }');
+	})
+
+	it('Should resolve references again after the referenced asset changed', function() {
+		fs.writeFileSync(styles, '.logo { background: url(../img/logo.png); }');
+		instance.rewriteReferences(styles);
+
+		fs.appendFileSync(testFiles[2], 'appending more test content');
+		instance.hashFiles(testFiles[2], {save: false});
+
+		var result = instance.rewriteReferences(styles);
+
+		expect(result.references).to.have.length(1);
+		expect(result.contents).to.equal('.logo { background: url(../' + path.relative(tmpDir, instance.getAssetFile(testFiles[2])) + '); }');
+	})
+
+	it('Should write rewritten files to dest', function() {
+		var dest = path.join(tmpDir, 'dist');
+		var output = path.resolve(dest, styles);
+
+		instance.hashFiles(testFiles[2], {save: false, dest: dest});
+		fs.writeFileSync(styles, '.logo { background: url(../img/logo.png); }');
+
+		var result = instance.rewriteReferences(styles, {dest: dest});
+
+		expect(result.output).to.equal(output);
+		expect(fs.readFileSync(output, 'utf8')).to.equal(result.contents);
+		expect(result.contents).to.equal('.logo { background: url(../' + path.relative(tmpDir, instance.getAssetFile(testFiles[2])) + '); }');
+		expect(fs.readFileSync(styles, 'utf8')).to.equal('.logo { background: url(../img/logo.png); }');
+	})
+
+	it('Should rewrite hashed copy of file in asset library', function() {
+		fs.writeFileSync(styles, '.logo { background: url(../img/logo.png); }');
+		instance.hashFiles(styles, {save: false});
+
+		var result = instance.rewriteReferences(styles);
+		var output = path.resolve(instance.getAssetFile(styles));
+
+		expect(result.output).to.equal(output);
+		expect(fs.readFileSync(output, 'utf8')).to.equal('.logo { background: url(../' + path.relative(tmpDir, instance.getAssetFile(testFiles[2])) + '); }');
+		expect(fs.readFileSync(styles, 'utf8')).to.equal('.logo { background: url(../img/logo.png); }');
+	})
+
+	it('Should rewrite hashed copy of file in asset library in dest', function() {
+		var dest = path.join(tmpDir, 'dist');
+
+		fs.writeFileSync(styles, '.logo { background: url(../img/logo.png); }');
+		instance.hashFiles(styles, {save: false, dest: dest});
+
+		var result = instance.rewriteReferences(styles, {dest: dest});
+
+		expect(result.output).to.equal(path.resolve(dest, instance.getAssetFile(styles)));
+		expect(fs.readFileSync(result.output, 'utf8')).to.equal(result.contents);
+		expect(fs.existsSync(path.resolve(dest, styles))).to.be.false;
+	})
+
+	it('Should rewrite vinyl file contents', function() {
+		fs.writeFileSync(styles, '.logo { background: url(../img/logo.png); }');
+
+		var file = vinyl.readSync(styles);
+
+		instance.rewriteReferences(file);
+
+		expect(file.contents.toString()).to.contain(path.basename(instance.getAssetFile(testFiles[2])));
+		expect(fs.readFileSync(styles, 'utf8')).to.equal('.logo { background: url(../img/logo.png); }');
+	})
+
+	it('Should skip files that can not contain references', function() {
+		expect(instance.rewriteReferences(testFiles[1])).to.be.undefined;
+	})
+
+});
+
+
+describe('Test cascading hashes', function() {
+
+	var instance;
+	var image = testFiles[2];
+	var styles = testFiles[5];
+	var landing = testFiles[3];
+
+	beforeEach(function() {
+		addTestFiles(testFiles);
+		fs.writeFileSync(styles, '.logo { background: url(../img/logo.png); }');
+		instance = hasher.create({cascade: true});
+	})
+
+	afterEach(function() {
+		removeTestDir(tmpDir);
+	})
+
+	it('Should default to not cascading hashes', function() {
+		expect(hasher.get('cascade')).to.be.false;
+	})
+
+	it('Should hash referenced assets first and write rewritten references to hashed file', function() {
+		var hashInfo = instance.hashFiles([styles, image]);
+
+		expect(hashInfo[0].original).to.equal(styles);
+		expect(hashInfo[1].original).to.equal(image);
+		expect(fs.readFileSync(hashInfo[0].path, 'utf8')).to.equal('.logo { background: url(../img/' + path.basename(hashInfo[1].path) + '); }');
+		expect(fs.readFileSync(styles, 'utf8')).to.equal('.logo { background: url(../img/logo.png); }');
+	})
+
+	it('Should change hash of referencing file when referenced asset changes', function() {
+		var hash1Info = instance.hashFiles([styles, image]);
+
+		fs.appendFileSync(image, 'appending more test content');
+
+		var hash2Info = instance.hashFiles([styles, image]);
+
+		expect(hash2Info[1].hash).to.not.equal(hash1Info[1].hash);
+		expect(hash2Info[0].hash).to.not.equal(hash1Info[0].hash);
+		expect(fs.readFileSync(hash2Info[0].path, 'utf8')).to.contain(path.basename(hash2Info[1].path));
+	})
+
+	it('Should not change hash of referencing file without cascade', function() {
+		var instance = hasher.create();
+		var hash1Info = instance.hashFiles([styles, image]);
+
+		fs.appendFileSync(image, 'appending more test content');
+
+		var hash2Info = instance.hashFiles([styles, image]);
+
+		expect(hash2Info[0].hash).to.equal(hash1Info[0].hash);
+	})
+
+	it('Should cascade through files referencing other referencing files', function() {
+		fs.writeFileSync(landing, '@import "styles.css";');
+
+		var hash1Info = instance.hashFiles([landing, styles, image]);
+
+		fs.appendFileSync(image, 'appending more test content');
+
+		var hash2Info = instance.hashFiles([landing, styles, image]);
+
+		expect(hash2Info[0].hash).to.not.equal(hash1Info[0].hash);
+		expect(fs.readFileSync(hash2Info[0].path, 'utf8')).to.equal('@import "' + path.basename(hash2Info[1].path) + '";');
+	})
+
+	it('Should report circular references', function() {
+		fs.writeFileSync(landing, '@import "styles.css";');
+		fs.writeFileSync(styles, '@import "landing.css";');
+
+		expect(instance.hashFiles.bind(instance, [landing, styles])).to.throw(Error, 'Circular reference between assets: ' + landing + ' -> ' + styles + ' -> ' + landing);
+	})
+
+	it('Should ignore references to the file itself', function() {
+		fs.writeFileSync(styles, '.self { background: url(styles.css); }');
+
+		expect(instance.hashFiles(styles).hashed).to.be.true;
+	})
+
+	it('Should cascade hashes asynchronously', function() {
+		return instance.hashFilesAsync([styles, image]).then(function(hashInfo) {
+			expect(fs.readFileSync(hashInfo[0].path, 'utf8')).to.equal('.logo { background: url(../img/' + path.basename(hashInfo[1].path) + '); }');
+		});
+	})
+
+	it('Should reject circular references asynchronously', function() {
+		fs.writeFileSync(landing, '@import "styles.css";');
+		fs.writeFileSync(styles, '@import "landing.css";');
+
+		return instance.hashFilesAsync([landing, styles]).then(function() {
+			throw new Error('Expected hashFilesAsync to reject');
+		}, function(err) {
+			expect(err.message).to.contain('Circular reference between assets');
+		});
+	})
+
+});
+
+
+describe('Test manifest output formats', function() {
+
+	var instance;
+	var manifestFile = path.join(tmpDir, 'formats.json');
+
+	beforeEach(function() {
+		addTestFiles(testFiles);
+		instance = hasher.create({manifest: 'formats.json', path: tmpDir});
+		instance.hashFiles([testFiles[0], testFiles[1]], {save: false});
+	})
+
+	afterEach(function() {
+		removeTestDir(tmpDir);
+	})
+
+	it('Should default to default format', function() {
+		expect(hasher.get('format')).to.equal('default');
+	})
+
+	it('Should save manifest in rev format', function() {
+		var expected = {};
+
+		expected[testFiles[0]] = instance.getAssetFile(testFiles[0]);
+		expected[testFiles[1]] = instance.getAssetFile(testFiles[1]);
+
+		instance.saveManifest({format: 'rev'});
+
+		expect(JSON.parse(fs.readFileSync(manifestFile, 'utf8'))).to.deep.equal(expected);
+	})
+
+	it('Should save manifest using custom serializer', function() {
+		instance.saveManifest({format: function(assets) {
+			return Object.keys(assets).join(',');
+		}});
+
+		expect(fs.readFileSync(manifestFile, 'utf8')).to.equal(testFiles[0] + ',' + testFiles[1]);
+	});
+
+	it('Should not load manifest saved using custom serializer', function() {
+		var serialize = function(assets) {
+			return Object.keys(assets).join(',');
+		};
+
+		instance.saveManifest({format: serialize});
+
+		expect(instance.loadManifest({format: serialize})).to.be.false;
+		expect(instance.hashFiles.bind(instance, testFiles[0], {format: serialize})).to.not.throw();
+	});
+
+	['pretty', 'rev', 'webpack'].forEach(function(format) {
+		it('Should load manifest saved in ' + format + ' format', function() {
+			var assets = _.cloneDeep(instance.getAssets());
+
+			instance.saveManifest({format: format, publicPath: '/static/'});
+			instance.resetAssets();
+
+			// Flat formats only keep the hashed paths, so size and last hashed time are lost
+			if (format !== 'pretty') {
+				assets = _.mapValues(assets, function(asset) {
+					return _.omit(asset, 'size', 'hashedAt');
+				});
+			}
+
+			expect(instance.loadManifest({format: format, publicPath: '/static/'})).to.be.true;
+			expect(instance.getAssets()).to.deep.equal(assets);
+		})
+	});
+
+	it('Should emit manifest in configured format from stream', function() {
+		var stream = instance.stream({format: 'rev'});
+		var files = [];
+
+		stream.on('data', function(file) {
+			files.push(file);
+		});
+
+		stream.end();
+
+		expect(JSON.parse(files[0].contents.toString())[testFiles[0]]).to.equal(instance.getAssetFile(testFiles[0]));
+	})
+
+});
+
+
+describe('Test subresource integrity', function() {
+
+	var instance;
+
+	/**
+	 * Get expected integrity value for test file
+	 *
+	 * @param {string} algorithm The algorithm to use
+	 * @param {string} file The file to hash
+	 * @return {string} The integrity value
+	 */
+	function expectedIntegrity(algorithm, file) {
+		return algorithm + '-' + crypto.createHash(algorithm).update(fs.readFileSync(file)).digest('base64');
+	}
+
+	beforeEach(function() {
+		addTestFiles(testFiles);
+		instance = hasher.create({save: false});
+	})
+
+	afterEach(function() {
+		removeTestDir(tmpDir);
+	})
+
+	it('Should not generate integrity by default', function() {
+		expect(hasher.get('integrity')).to.be.false;
+		expect(instance.hashFiles(testFiles[6])).to.not.have.property('integrity');
+	})
+
+	it('Should use sha384 if integrity is true', function() {
+		var hashInfo = instance.hashFiles(testFiles[6], {integrity: true});
+
+		expect(hashInfo.integrity).to.equal(expectedIntegrity('sha384', testFiles[6]));
+	})
+
+	it('Should record integrity for each configured algorithm', function() {
+		instance.hashFiles(testFiles[6], {integrity: ['sha256', 'sha512']});
+
+		expect(instance.getAsset(testFiles[6]).integrity).to.equal(expectedIntegrity('sha256', testFiles[6]) + ' ' + expectedIntegrity('sha512', testFiles[6]));
+	})
+
+	it('Should record integrity when hashing asynchronously', function() {
+		return instance.hashFilesAsync(testFiles[6], {integrity: 'sha256'}).then(function(hashInfo) {
+			expect(hashInfo.integrity).to.equal(expectedIntegrity('sha256', testFiles[6]));
+		});
+	})
+
+	it('Should add integrity to unchanged files', function() {
+		instance.hashFiles(testFiles[6]);
+		instance.hashFiles(testFiles[6], {integrity: true});
+
+		expect(instance.getAsset(testFiles[6]).integrity).to.equal(expectedIntegrity('sha384', testFiles[6]));
+	})
+
+	it('Should save integrity in manifest', function() {
+		instance.hashFiles(testFiles[6], {integrity: true});
+		instance.saveManifest({manifest: 'sri.json', path: tmpDir});
+
+		expect(JSON.parse(fs.readFileSync(path.join(tmpDir, 'sri.json'), 'utf8')).assets[testFiles[6]].integrity).to.equal(expectedIntegrity('sha384', testFiles[6]));
+	})
+
+	it('Should throw for unsupported integrity algorithm', function() {
+		expect(instance.hashFiles.bind(instance, testFiles[6], {integrity: 'md5'})).to.throw(Error, 'md5');
+	})
+
+});
+
+
+describe('Test retention of previously hashed versions', function() {
+
+	var instance;
+
+	/**
+	 * Change test file contents and hash it
+	 *
+	 * @param {string} contents The new file contents
+	 * @param {object} options Options to use to hash the file
+	 * @return {object} Hash result
+	 */
+	function rehash(contents, options) {
+		fs.writeFileSync(testFiles[6], contents);
+
+		return instance.hashFiles(testFiles[6], options);
+	}
+
+	beforeEach(function() {
+		addTestFiles(testFiles);
+		instance = hasher.create({manifest: false});
+	})
+
+	afterEach(function() {
+		removeTestDir(tmpDir);
+	})
+
+	it('Should not track versions by default', function() {
+		var first = rehash('version 1');
+		var second = rehash('version 2');
+
+		expect(second).to.not.have.property('versions');
+		expect(fs.existsSync(first.path)).to.be.false;
+	})
+
+	it('Should keep the last versions', function() {
+		var hashed = ['version 1', 'version 2', 'version 3', 'version 4'].map(function(contents) {
+			return rehash(contents, {keep: 2});
+		});
+
+		expect(_.pluck(instance.getAsset(testFiles[6]).versions, 'path')).to.deep.equal([hashed[2].path, hashed[1].path]);
+		expect(fs.existsSync(hashed[0].path)).to.be.false;
+
+		hashed.slice(1).forEach(function(result) {
+			expect(fs.existsSync(result.path)).to.be.true;
+		});
+	})
+
+	it('Should keep versions younger than maxAge', function() {
+		var first = rehash('version 1', {maxAge: 60000});
+		var version = rehash('version 2', {maxAge: 60000}).versions[0];
+
+		expect(version.path).to.equal(first.path);
+		expect(version.hash).to.equal(first.hash);
+		expect(version.replaced).to.be.within(Date.now() - 60000, Date.now());
+		expect(fs.existsSync(first.path)).to.be.true;
+	})
+
+	it('Should not keep the current version as a previous version', function() {
+		var first = rehash('version 1', {keep: 2});
+
+		rehash('version 2', {keep: 2});
+
+		expect(_.pluck(rehash('version 1', {keep: 2}).versions, 'path')).to.not.contain(first.path);
+		expect(fs.existsSync(first.path)).to.be.true;
+	})
+
+	it('Should save versions in manifest', function() {
+		rehash('version 1', {keep: 1});
+		rehash('version 2', {keep: 1});
+		instance.saveManifest({manifest: 'versions.json', path: tmpDir});
+
+		expect(JSON.parse(fs.readFileSync(path.join(tmpDir, 'versions.json'), 'utf8')).assets[testFiles[6]].versions).to.have.length(1);
+	})
+
+	it('Should clean expired versions', function() {
+		var first = rehash('version 1', {keep: 2});
+		var second = rehash('version 2', {keep: 2});
+
+		rehash('version 3', {keep: 2});
+
+		expect(instance.clean({keep: 1})).to.deep.equal([first.path]);
+		expect(_.pluck(instance.getAsset(testFiles[6]).versions, 'path')).to.deep.equal([second.path]);
+		expect(fs.existsSync(first.path)).to.be.false;
+		expect(fs.existsSync(second.path)).to.be.true;
+	})
+
+	it('Should clean hashed files of originals that no longer exist', function() {
+		var first = rehash('version 1', {keep: 1});
+		var second = rehash('version 2', {keep: 1});
+
+		fs.unlinkSync(testFiles[6]);
+
+		expect(instance.clean().sort()).to.deep.equal([first.path, second.path].sort());
+		expect(instance.getAsset(testFiles[6])).to.be.null;
+		expect(fs.existsSync(second.path)).to.be.false;
+	})
+
+	it('Should clean hashed files of every asset with all', function() {
+		var first = rehash('version 1', {keep: 1});
+		var second = rehash('version 2', {keep: 1});
+
+		expect(instance.clean({all: true}).sort()).to.deep.equal([first.path, second.path].sort());
+		expect(instance.getAssets()).to.be.empty;
+		expect(fs.existsSync(testFiles[6])).to.be.true;
+	})
+
+	it('Should not clean hashed files of replaced originals', function() {
+		var hashInfo = rehash('version 1', {replace: true});
+
+		expect(instance.clean({replace: true})).to.be.empty;
+		expect(fs.existsSync(hashInfo.path)).to.be.true;
+	})
+
+});
+
+
+describe('Test dry run', function() {
+
+	var instance;
+
+	/**
+	 * List files in test directory
+	 *
+	 * @return {array} File paths
+	 */
+	function listFiles() {
+		return glob.sync(tmpDir + '**/*', {nodir: true}).sort();
+	}
+
+	beforeEach(function() {
+		addTestFiles(testFiles);
+		instance = hasher.create({manifest: false});
+	})
+
+	afterEach(function() {
+		removeTestDir(tmpDir);
+	})
+
+	it('Should not change files or the asset library', function() {
+		var files = listFiles();
+
+		instance.hashFiles(testFiles[6], {dryRun: true, replace: true});
+
+		expect(listFiles()).to.deep.equal(files);
+		expect(instance.getAssets()).to.be.empty;
+	})
+
+	it('Should plan created files', function() {
+		var plan = instance.hashFiles(testFiles[6], {dryRun: true});
+
+		expect(plan.operations).to.deep.equal([{type: 'create', from: testFiles[6], to: plan.files.path}]);
+	})
+
+	it('Should plan renames when replacing originals', function() {
+		var plan = instance.hashFiles(testFiles[6], {dryRun: true, replace: true});
+
+		expect(plan.operations).to.deep.equal([{type: 'rename', from: testFiles[6], to: plan.files.path}]);
+	})
+
+	it('Should plan deleting previously hashed files', function() {
+		var first = instance.hashFiles(testFiles[6]);
+
+		fs.writeFileSync(testFiles[6], 'changed');
+
+		var plan = instance.hashFiles(testFiles[6], {dryRun: true});
+
+		expect(plan.operations).to.deep.equal([
+			{type: 'delete', path: first.path},
+			{type: 'create', from: testFiles[6], to: plan.files.path}
+		]);
+		expect(plan.manifest.changed[testFiles[6]].from.path).to.equal(first.path);
+		expect(plan.manifest.changed[testFiles[6]].to.path).to.equal(plan.files.path);
+		expect(instance.getAsset(testFiles[6])).to.deep.equal(first);
+	})
+
+	it('Should report added manifest entries', function() {
+		var plan = instance.hashFiles([testFiles[6], testFiles[7]], {dryRun: true});
+
+		expect(plan.manifest.added).to.have.all.keys(testFiles[6], testFiles[7]);
+		expect(plan.manifest.changed).to.be.empty;
+		expect(plan.manifest.removed).to.be.empty;
+	})
+
+	it('Should plan asynchronously', function() {
+		var files = listFiles();
+
+		return instance.hashFilesAsync(testFiles[6], {dryRun: true, replace: true}).then(function(plan) {
+			expect(plan.operations).to.deep.equal([{type: 'rename', from: testFiles[6], to: plan.files.path}]);
+			expect(listFiles()).to.deep.equal(files);
+			expect(instance.getAssets()).to.be.empty;
+		});
+	})
+
+});
+
+
+describe('Test output directory', function() {
+
+	var destDir = path.join(tmpDir, 'dist');
+	var instance;
+
+	beforeEach(function() {
+		addTestFiles(testFiles);
+		instance = hasher.create({base: tmpDir, dest: destDir, manifest: false});
+	})
+
+	afterEach(function() {
+		removeTestDir(tmpDir);
+	})
+
+	it('Should write hashed files to output directory', function() {
+		var hashInfo = instance.hashFiles(testFiles[8]);
+
+		expect(hashInfo.original).to.equal('js/jquery/jquery.min.js');
+		expect(hashInfo.path).to.match(/^js\/jquery\/jquery\.min-aH4urS[a-f0-9]{8}\.js$/);
+		expect(fs.existsSync(path.join(destDir, hashInfo.path))).to.be.true;
+		expect(fs.readdirSync(path.join(tmpDir, 'js/jquery'))).to.deep.equal(['jquery.min.js']);
+	})
+
+	it('Should write hashed files to output directory asynchronously', function() {
+		return instance.hashFilesAsync(testFiles[8]).then(function(hashInfo) {
+			expect(fs.existsSync(path.join(destDir, hashInfo.path))).to.be.true;
+		});
+	})
+
+	it('Should only delete previously hashed files in output directory', function() {
+		var first = instance.hashFiles(testFiles[6]);
+		var sourceCopy = path.join(tmpDir, first.path);
+
+		fs.writeFileSync(sourceCopy, 'not built by asset hasher');
+		fs.writeFileSync(testFiles[6], 'changed');
+		instance.hashFiles(testFiles[6]);
+
+		expect(fs.existsSync(path.join(destDir, first.path))).to.be.false;
+		expect(fs.existsSync(sourceCopy)).to.be.true;
+	})
+
+	it('Should clean hashed files in output directory', function() {
+		var hashInfo = instance.hashFiles(testFiles[6]);
+
+		fs.unlinkSync(testFiles[6]);
+
+		expect(instance.clean()).to.deep.equal([hashInfo.path]);
+		expect(fs.existsSync(path.join(destDir, hashInfo.path))).to.be.false;
+	})
+
+	it('Should use public path for manifest urls', function() {
+		instance.hashFiles(testFiles[6]);
+		instance.saveManifest({format: 'webpack', publicPath: '/static/', manifest: 'manifest.json', path: destDir});
+
+		var manifest = JSON.parse(fs.readFileSync(path.join(destDir, 'manifest.json'), 'utf8'));
+
+		expect(manifest['js/main.js']).to.equal('/static/' + instance.getAsset('js/main.js').path);
+	})
+
+});
+
+
+describe('Test file filters', function() {
+
+	var extraFiles = [
+		path.join(jsDir, '.gitkeep'),
+		path.join(jsDir, '.cache/main.js'),
+		path.join(jsDir, 'main.js.map'),
+		path.join(jsDir, 'main-aH4urS1a2b3c4d.js'),
+		path.join(jsDir, 'assets.json')
+	];
+	var instance;
+
+	/**
+	 * Get original paths of hashed files
+	 *
+	 * @param {array|object} results The hash results
+	 * @return {array} Sorted original paths
+	 */
+	function originals(results) {
+		return _.pluck([].concat(results || []), 'original').sort();
+	}
+
+	beforeEach(function() {
+		addTestFiles(testFiles);
+		fs.mkdirSync(path.join(jsDir, '.cache'));
+
+		extraFiles.forEach(function(file) {
+			fs.writeFileSync(file, path.extname(file) === '.json' ? '{}' : 'extra');
+		});
+
+		instance = hasher.create({save: false, manifest: 'assets.json', path: jsDir});
+	})
+
+	afterEach(function() {
+		removeTestDir(tmpDir);
+	})
+
+	it('Should skip dotfiles, hashed files and the manifest in directories', function() {
+		expect(originals(instance.hashFiles(jsDir))).to.deep.equal([testFiles[8], path.join(jsDir, 'main.js.map'), testFiles[6], testFiles[7]].sort());
+	})
+
+	it('Should hash dotfiles if dot is set', function() {
+		expect(originals(instance.hashFiles(jsDir, {dot: true}))).to.include.members([extraFiles[0], extraFiles[1]]);
+		expect(originals(instance.hashFiles(jsDir + '/*', {dot: true}))).to.include(extraFiles[0]);
+	})
+
+	it('Should hash hashed files and the manifest if skipGenerated is false', function() {
+		expect(originals(instance.hashFiles(jsDir, {skipGenerated: false}))).to.include.members([extraFiles[3], extraFiles[4]]);
+	})
+
+	it('Should skip ignored files', function() {
+		expect(originals(instance.hashFiles(jsDir, {ignore: ['*.map', 'tmp/js/jquery/**']}))).to.deep.equal([testFiles[6], testFiles[7]]);
+	})
+
+	it('Should only hash included files', function() {
+		expect(originals(instance.hashFiles(tmpDir, {include: '*.min.js'}))).to.deep.equal([testFiles[8], testFiles[7]]);
+	})
+
+	it('Should apply filters to globs', function() {
+		expect(originals(instance.hashFiles(jsDir + '/*.*', {ignore: '*.map'}))).to.deep.equal([testFiles[6], testFiles[7]]);
+	})
+
+	it('Should apply filters to file objects', function() {
+		var files = [testFiles[6], extraFiles[2]].map(function(file) {
+			return {path: path.resolve(file), contents: fs.readFileSync(file)};
+		});
+
+		expect(originals(instance.hashFiles(files, {ignore: '*.map'}))).to.deep.equal([testFiles[6]]);
+	})
+
+	it('Should apply filters asynchronously', function() {
+		return instance.hashFilesAsync(jsDir, {ignore: '*.map', include: 'tmp/js/*'}).then(function(results) {
+			expect(originals(results)).to.deep.equal([testFiles[6], testFiles[7]]);
+		});
+	})
+
+});
+
+
+describe('Test hash strategies and encodings', function() {
+
+	var instance;
+
+	/**
+	 * Hash function returning fixed bytes
+	 *
+	 * @return {buffer} The hash
+	 */
+	function fixedHash() {
+		return Buffer.from([0xfb, 0xff]);
+	}
+
+	beforeEach(function() {
+		addTestFiles(testFiles);
+		instance = hasher.create({save: false, manifest: false});
+	})
+
+	afterEach(function() {
+		removeTestDir(tmpDir);
+	})
+
+	it('Should use registered hash function', function() {
+		instance.registerHasher('size', function(contents) {
+			return String(contents.length);
+		});
+
+		expect(instance.hashFiles(testFiles[6], {hasher: 'size'}).hash).to.equal('aH4urS' + fs.statSync(testFiles[6]).size);
+	})
+
+	it('Should pass contents and file to hash function', function() {
+		var args = [];
+
+		instance.hashFiles(testFiles[6], {hasher: function(contents, file) {
+			args = [contents, file];
+			return 'abc';
+		}});
+
+		expect(args[0]).to.deep.equal(fs.readFileSync(testFiles[6]));
+		expect(args[1]).to.equal(testFiles[6]);
+	})
+
+	it('Should use registered hash function asynchronously', function() {
+		instance.registerHasher('fixed', fixedHash);
+
+		return instance.hashFilesAsync(testFiles[6], {hasher: 'fixed'}).then(function(hashInfo) {
+			expect(hashInfo.hash).to.equal('aH4urSfbff');
+		});
+	})
+
+	it('Should list registered hash functions', function() {
+		instance.registerHasher('fixed', fixedHash);
+
+		expect(instance.getHashers()).to.include('fixed').and.include('sha1');
+	})
+
+	it('Should throw if hash function is missing', function() {
+		expect(instance.registerHasher.bind(instance, 'fixed')).to.throw(Error);
+	})
+
+	it('Should encode hash as base36', function() {
+		expect(instance.hashFiles(testFiles[6], {hasher: fixedHash, encoding: 'base36'}).hash).to.equal('aH4urS' + (0xfbff).toString(36));
+	})
+
+	it('Should encode hash as url safe base64', function() {
+		expect(instance.hashFiles(testFiles[6], {hasher: fixedHash, encoding: 'base64url'}).hash).to.equal('aH4urS-_8');
+	})
+
+	it('Should cut encoded crypto hash to length', function() {
+		var hash = instance.hashFiles(testFiles[6], {encoding: 'base36', length: 12}).hash;
+
+		expect(hash).to.match(/^aH4urS[0-9a-z]{12}$/);
+	})
+
+	it('Should reject unknown hasher', function() {
+		expect(instance.set.bind(instance, {hasher: 'bogus'})).to.throw(Error, 'Unknown hasher: bogus');
+		expect(instance.get('hasher')).to.equal('sha1');
+	})
+
+	it('Should reject unknown hasher passed to hashFiles', function() {
+		expect(instance.hashFiles.bind(instance, testFiles[6], {hasher: 'bogus'})).to.throw(Error, 'Unknown hasher: bogus');
+	})
+
+	it('Should reject unknown encoding', function() {
+		expect(instance.set.bind(instance, {encoding: 'base2'})).to.throw(Error, 'Unknown hash encoding: base2');
+	})
+
+});
+
+
+describe('Test compressed variants', function() {
+
+	var instance;
+
+	beforeEach(function() {
+		addTestFiles(testFiles);
+		instance = hasher.create({manifest: false});
+	})
+
+	afterEach(function() {
+		removeTestDir(tmpDir);
+	})
+
+	it('Should not create variants by default', function() {
+		var hashInfo = instance.hashFiles(testFiles[6]);
+
+		expect(hashInfo).to.not.have.property('variants');
+		expect(fs.existsSync(hashInfo.path + '.gz')).to.be.false;
+	})
+
+	it('Should create gzip and brotli variants', function() {
+		var hashInfo = instance.hashFiles(testFiles[6], {compress: true});
+		var contents = fs.readFileSync(testFiles[6]);
+
+		expect(zlib.gunzipSync(fs.readFileSync(hashInfo.path + '.gz'))).to.deep.equal(contents);
+		expect(zlib.brotliDecompressSync(fs.readFileSync(hashInfo.path + '.br'))).to.deep.equal(contents);
+	})
+
+	it('Should record variants and sizes in asset library', function() {
+		var hashInfo = instance.hashFiles(testFiles[6], {compress: 'gzip'});
+
+		expect(instance.getAsset(testFiles[6]).variants).to.deep.equal({
+			gzip: {
+				path: hashInfo.path + '.gz',
+				size: fs.statSync(hashInfo.path + '.gz').size
+			}
+		});
+		expect(fs.existsSync(hashInfo.path + '.br')).to.be.false;
+	})
+
+	it('Should create variants asynchronously', function() {
+		return instance.hashFilesAsync(testFiles[6], {compress: ['gzip', 'brotli']}).then(function(hashInfo) {
+			expect(hashInfo.variants.brotli.size).to.equal(fs.statSync(hashInfo.path + '.br').size);
+			expect(hashInfo.variants.gzip.size).to.equal(fs.statSync(hashInfo.path + '.gz').size);
+		});
+	})
+
+	it('Should skip file types that are already compressed', function() {
+		var hashInfo = instance.hashFiles(testFiles[2], {compress: true});
+
+		expect(hashInfo).to.not.have.property('variants');
+		expect(fs.existsSync(hashInfo.path + '.gz')).to.be.false;
+	})
+
+	it('Should remove variants of previously hashed files', function() {
+		var first = instance.hashFiles(testFiles[6], {compress: true});
+
+		fs.writeFileSync(testFiles[6], 'changed');
+		instance.hashFiles(testFiles[6]);
+
+		expect(fs.existsSync(first.path + '.gz')).to.be.false;
+		expect(fs.existsSync(first.path + '.br')).to.be.false;
+	})
+
+	it('Should keep variants of kept versions', function() {
+		var first = instance.hashFiles(testFiles[6], {compress: true, keep: 1});
+
+		fs.writeFileSync(testFiles[6], 'changed');
+		instance.hashFiles(testFiles[6], {compress: true, keep: 1});
+
+		expect(fs.existsSync(first.path + '.gz')).to.be.true;
+	})
+
+	it('Should clean variants of orphaned hashed files', function() {
+		var hashInfo = instance.hashFiles(testFiles[6], {compress: true});
+
+		fs.unlinkSync(testFiles[6]);
+		instance.clean();
+
+		expect(fs.existsSync(hashInfo.path + '.gz')).to.be.false;
+		expect(fs.existsSync(hashInfo.path + '.br')).to.be.false;
+	})
+
+	it('Should plan variants in a dry run', function() {
+		var plan = instance.hashFiles(testFiles[6], {compress: 'gzip', dryRun: true});
+
+		expect(plan.operations[1]).to.deep.equal({type: 'create', from: plan.files.path, to: plan.files.path + '.gz'});
+	})
+
+	it('Should throw for unsupported compression', function() {
+		expect(instance.hashFiles.bind(instance, testFiles[6], {compress: 'zstd'})).to.throw(Error, 'Unsupported compression: zstd');
+	})
+
+});
+
+
+describe('Test source maps', function() {
+
+	var mapDir = path.join(tmpDir, 'maps');
+	var jsFile = path.join(mapDir, 'app.js');
+	var cssFile = path.join(mapDir, 'site.css');
+	var instance;
+
+	/**
+	 * Write source mapped file and its source map
+	 *
+	 * @param {string} file The path to the file
+	 * @param {string} contents The file contents without the source map comment
+	 * @param {string} comment The source map comment with a {url} placeholder
+	 */
+	function addMappedFile(file, contents, comment) {
+		fs.writeFileSync(file, contents + '\n' + comment.replace('{url}', path.basename(file) + '.map') + '\n');
+		fs.writeFileSync(file + '.map', JSON.stringify({version: 3, file: path.basename(file), sources: ['src/' + path.basename(file)], mappings: 'AAAA'}));
+	}
+
+	beforeEach(function() {
+		addTestFiles(testFiles);
+		fs.mkdirSync(mapDir);
+		addMappedFile(jsFile, 'var app = 1;', '//# sourceMappingURL={url}');
+		addMappedFile(cssFile, 'body { color: red; }', '/*# sourceMappingURL={url} */');
+		instance = hasher.create({manifest: false, sourceMaps: true});
+	})
+
+	afterEach(function() {
+		removeTestDir(tmpDir);
+	})
+
+	it('Should not pair source maps by default', function() {
+		var hashInfo = instance.hashFiles(jsFile, {sourceMaps: false});
+
+		expect(fs.readFileSync(hashInfo.path, 'utf8')).to.contain('sourceMappingURL=app.js.map');
+		expect(instance.getAsset(jsFile + '.map')).to.be.null;
+	})
+
+	it('Should rewrite source map comment to hashed source map', function() {
+		var hashInfo = instance.hashFiles(jsFile);
+		var mapInfo = instance.getAsset(jsFile + '.map');
+
+		expect(mapInfo.path).to.match(/app\.js-aH4urS[a-f0-9]{8}\.map$/);
+		expect(fs.readFileSync(hashInfo.path, 'utf8')).to.equal('var app = 1;\n//# sourceMappingURL=' + path.basename(mapInfo.path) + '\n');
+	})
+
+	it('Should set file property of hashed source map', function() {
+		var hashInfo = instance.hashFiles(jsFile);
+
+		expect(JSON.parse(fs.readFileSync(instance.getAsset(jsFile + '.map').path, 'utf8')).file).to.equal(path.basename(hashInfo.path));
+	})
+
+	it('Should link file and source map in asset library', function() {
+		instance.hashFiles(jsFile);
+
+		expect(instance.getAsset(jsFile).sourceMap).to.equal(jsFile + '.map');
+		expect(instance.getAsset(jsFile + '.map').source).to.equal(jsFile);
+	})
+
+	it('Should rewrite css source map comment', function() {
+		var hashInfo = instance.hashFiles(cssFile);
+
+		expect(fs.readFileSync(hashInfo.path, 'utf8')).to.contain('/*# sourceMappingURL=' + path.basename(instance.getAsset(cssFile + '.map').path) + ' */');
+	})
+
+	it('Should hash source maps with the file referencing them', function() {
+		var results = instance.hashFiles(mapDir);
+
+		expect(_.pluck(results, 'original').sort()).to.deep.equal([jsFile, cssFile]);
+		expect(instance.getAssets()).to.have.all.keys(jsFile, jsFile + '.map', cssFile, cssFile + '.map');
+	})
+
+	it('Should update file property if only the file changed', function() {
+		instance.hashFiles(jsFile);
+		fs.writeFileSync(jsFile, 'var app = 2;\n//# sourceMappingURL=app.js.map\n');
+
+		var hashInfo = instance.hashFiles(jsFile);
+
+		expect(JSON.parse(fs.readFileSync(instance.getAsset(jsFile + '.map').path, 'utf8')).file).to.equal(path.basename(hashInfo.path));
+	})
+
+	it('Should record size and integrity of the written source map', function() {
+		instance.hashFiles(jsFile, {integrity: true});
+
+		var mapInfo = instance.getAsset(jsFile + '.map');
+		var contents = fs.readFileSync(mapInfo.path);
+
+		expect(mapInfo.size).to.equal(contents.length);
+		expect(mapInfo.integrity).to.equal('sha384-' + crypto.createHash('sha384').update(contents).digest('base64'));
+	})
+
+	it('Should compress the written source map', function() {
+		var hashInfo = instance.hashFiles(jsFile, {compress: 'gzip'});
+		var mapInfo = instance.getAsset(jsFile + '.map');
+
+		expect(zlib.gunzipSync(fs.readFileSync(mapInfo.path + '.gz'))).to.deep.equal(fs.readFileSync(mapInfo.path));
+		expect(JSON.parse(zlib.gunzipSync(fs.readFileSync(mapInfo.path + '.gz'))).file).to.equal(path.basename(hashInfo.path));
+	})
+
+	it('Should rehash source map if only the file changed', function() {
+		instance.hashFiles(jsFile);
+
+		var mapPath = instance.getAssetFile(jsFile + '.map');
+
+		fs.writeFileSync(jsFile, 'var app = 2;\n//# sourceMappingURL=app.js.map\n');
+		instance.hashFiles(jsFile);
+
+		expect(instance.getAssetFile(jsFile + '.map')).to.not.equal(mapPath);
+		expect(fs.existsSync(mapPath)).to.be.false;
+	})
+
+	it('Should record size and integrity of the written source map asynchronously', function() {
+		return instance.hashFilesAsync(jsFile, {integrity: true}).then(function() {
+			var mapInfo = instance.getAsset(jsFile + '.map');
+			var contents = fs.readFileSync(mapInfo.path);
+
+			expect(mapInfo.size).to.equal(contents.length);
+			expect(mapInfo.integrity).to.equal('sha384-' + crypto.createHash('sha384').update(contents).digest('base64'));
+		});
+	})
+
+	it('Should hash source maps asynchronously', function() {
+		return instance.hashFilesAsync(jsFile).then(function(hashInfo) {
+			var mapInfo = instance.getAsset(jsFile + '.map');
+
+			expect(hashInfo.sourceMap).to.equal(jsFile + '.map');
+			expect(fs.readFileSync(hashInfo.path, 'utf8')).to.contain('sourceMappingURL=' + path.basename(mapInfo.path));
+			expect(JSON.parse(fs.readFileSync(mapInfo.path, 'utf8')).file).to.equal(path.basename(hashInfo.path));
+		});
+	})
+
+	it('Should not pair data uri source maps', function() {
+		fs.writeFileSync(jsFile, 'var app = 1;\n//# sourceMappingURL=data:application/json;base64,e30=\n');
+
+		expect(instance.hashFiles(jsFile)).to.not.have.property('sourceMap');
+	})
+
+});
+
+
+describe('Test events', function() {
+
+	var instance;
+
+	beforeEach(function() {
+		addTestFiles(testFiles);
+		instance = hasher.create({manifest: false});
+	})
+
+	afterEach(function() {
+		removeTestDir(tmpDir);
+	})
+
+	it('Should emit hashed event with hash results', function() {
+		var hashed = [];
+
+		instance.on('hashed', function(hashInfo) {
+			hashed.push(hashInfo);
+		});
+
+		var hashInfo = instance.hashFiles(testFiles[0]);
+
+		expect(hashed).to.deep.equal([hashInfo]);
+	})
+
+	it('Should emit write and delete events for file operations', function() {
+		var writes = [];
+		var deletes = [];
+
+		instance.on('write', function(event) {
+			writes.push(event);
+		});
+		instance.on('delete', function(event) {
+			deletes.push(event.path);
+		});
+
+		var hashInfo = instance.hashFiles(testFiles[0], {replace: true});
+
+		expect(writes).to.deep.equal([{type: 'copy', from: path.resolve(testFiles[0]), to: path.resolve(hashInfo.path)}]);
+		expect(deletes).to.deep.equal([path.resolve(testFiles[0])]);
+	})
+
+	it('Should emit delete events for previously hashed files', function() {
+		var deletes = [];
+		var first = instance.hashFiles(testFiles[6]);
+
+		instance.on('delete', function(event) {
+			deletes.push(event.path);
+		});
+
+		fs.writeFileSync(testFiles[6], 'var changed = true;');
+		instance.hashFiles(testFiles[6]);
+
+		expect(deletes).to.deep.equal([path.resolve(first.path)]);
+	})
+
+	it('Should not emit write events in a dry run', function() {
+		var writes = 0;
+
+		instance.on('write', function() {
+			writes++;
+		});
+
+		instance.hashFiles(testFiles[0], {dryRun: true});
+
+		expect(writes).to.equal(0);
+	})
+
+	it('Should hash contents transformed by beforeHash listeners', function() {
+		instance.on('beforeHash', function(event) {
+			event.contents = Buffer.concat([event.contents, Buffer.from('/* banner */')]);
+		});
+
+		var hashInfo = instance.hashFiles(testFiles[6]);
+		var contents = fs.readFileSync(hashInfo.path, 'utf8');
+
+		expect(contents).to.contain('/* banner */');
+		expect(hashInfo.hash).to.equal(instance.get('hashKey') + crypto.createHash(instance.get('hasher')).update(contents).digest('hex').slice(0, instance.get('length')));
+	})
+
+	it('Should pass relative path to beforeHash listeners', function() {
+		var files = [];
+
+		instance.on('beforeHash', function(event) {
+			files.push(event.file);
+		});
+
+		instance.hashFiles(testFiles[6]);
+
+		expect(files).to.deep.equal([testFiles[6]]);
+	})
+
+	it('Should transform contents before hashing asynchronously', function() {
+		instance.on('beforeHash', function(event) {
+			event.contents = String(event.contents) + '\n// footer';
+		});
+
+		return instance.hashFilesAsync(testFiles[6]).then(function(hashInfo) {
+			expect(fs.readFileSync(hashInfo.path, 'utf8')).to.contain('// footer');
+		});
+	})
+
+	it('Should emit hashed event asynchronously', function() {
+		var hashed = [];
+
+		instance.on('hashed', function(hashInfo) {
+			hashed.push(hashInfo.original);
+		});
+
+		return instance.hashFilesAsync([testFiles[0], testFiles[1]]).then(function() {
+			expect(hashed.sort()).to.deep.equal([testFiles[0], testFiles[1]]);
+		});
+	})
+
+	it('Should emit manifest events', function() {
+		var saved = null;
+		var loaded = null;
+
+		instance.set({manifest: testManifestFilename, path: tmpDir});
+		instance.on('manifestSave', function(event) {
+			saved = event;
+		});
+		instance.on('manifestLoad', function(event) {
+			loaded = event;
+		});
+
+		instance.hashFiles(testFiles[0]);
+		instance.saveManifest();
+		instance.loadManifest();
+
+		expect(saved.path).to.equal(path.resolve(tmpDir, testManifestFilename));
+		expect(saved.contents).to.equal(fs.readFileSync(saved.path, 'utf8'));
+		expect(loaded.path).to.equal(saved.path);
+		expect(loaded.assets).to.have.all.keys(testFiles[0]);
+	})
+
+});
+
+
+describe('Test errors and strict mode', function() {
+
+	var manifestFile = path.join(tmpDir, testManifestFilename);
+	var instance;
+
+	beforeEach(function() {
+		addTestFiles(testFiles);
+		instance = hasher.create({manifest: testManifestFilename, path: tmpDir});
+	})
+
+	afterEach(function() {
+		removeTestDir(tmpDir);
+	})
+
+	it('Should export error types', function() {
+		expect(hasher.errors.AssetHashError).to.be.a('function');
+		expect(hasher.errors.ManifestParseError).to.be.a('function');
+		expect(hasher.errors.NoMatchError).to.be.a('function');
+		expect(hasher.errors.UnknownHasherError).to.be.a('function');
+		expect(hasher.errors.WriteError).to.be.a('function');
+	})
+
+	it('Should not load missing manifest', function() {
+		expect(instance.loadManifest()).to.be.false;
+	})
+
+	it('Should throw for corrupt manifest instead of replacing it', function() {
+		fs.writeFileSync(manifestFile, '{"img/logo.png": {');
+
+		expect(instance.loadManifest.bind(instance)).to.throw(hasher.errors.ManifestParseError, testManifestFilename);
+		expect(instance.hashFiles.bind(instance, testFiles[0])).to.throw(hasher.errors.ManifestParseError);
+		expect(fs.readFileSync(manifestFile, 'utf8')).to.equal('{"img/logo.png": {');
+	})
+
+	it('Should reject for corrupt manifest asynchronously', function() {
+		fs.writeFileSync(manifestFile, 'not json');
+
+		return instance.hashFilesAsync(testFiles[0]).then(function() {
+			throw new Error('Expected hashFilesAsync to reject');
+		}, function(err) {
+			expect(err).to.be.an.instanceof(hasher.errors.ManifestParseError);
+			expect(err.path).to.equal(path.resolve(manifestFile));
+		});
+	})
+
+	it('Should throw unknown hasher error', function() {
+		expect(instance.set.bind(instance, {hasher: 'bogus'})).to.throw(hasher.errors.UnknownHasherError);
+	})
+
+	it('Should throw unknown hasher error when creating hasher', function() {
+		expect(hasher.create.bind(hasher, {hasher: 'bogus'})).to.throw(hasher.errors.UnknownHasherError);
+	})
+
+	it('Should throw for unknown encoding when creating hasher', function() {
+		expect(hasher.create.bind(hasher, {encoding: 'base2'})).to.throw(Error, 'Unknown hash encoding: base2');
+	})
+
+	it('Should emit warning for glob that matches no files', function() {
+		var warnings = [];
+
+		instance.on('warning', function(warning) {
+			warnings.push(warning);
+		});
+
+		var hashInfo = instance.hashFiles([testFiles[0], tmpDir + 'nothing/*']);
+
+		expect(hashInfo.original).to.equal(testFiles[0]);
+		expect(warnings).to.have.length(1);
+		expect(warnings[0]).to.be.an.instanceof(hasher.errors.NoMatchError);
+		expect(warnings[0].pattern).to.equal(tmpDir + 'nothing/*');
+	})
+
+	it('Should throw for glob that matches no files in strict mode', function() {
+		expect(instance.hashFiles.bind(instance, [testFiles[0], tmpDir + 'nothing/*'], {strict: true})).to.throw(hasher.errors.NoMatchError);
+		expect(instance.getAsset(testFiles[0])).to.be.null;
+	})
+
+	it('Should reject for glob that matches no files in strict mode', function() {
+		return instance.hashFilesAsync(tmpDir + 'nothing/*', {strict: true}).then(function() {
+			throw new Error('Expected hashFilesAsync to reject');
+		}, function(err) {
+			expect(err).to.be.an.instanceof(hasher.errors.NoMatchError);
+		});
+	})
+
+	it('Should throw write error if hashed file can\'t be written', function() {
+		var dest = path.join(tmpDir, 'dest');
+
+		fs.writeFileSync(dest, 'not a directory');
+
+		expect(instance.hashFiles.bind(instance, testFiles[0], {dest: dest})).to.throw(hasher.errors.WriteError);
+	})
+
+	it('Should reject with write error if hashed file can\'t be written', function() {
+		var dest = path.join(tmpDir, 'dest');
+
+		fs.writeFileSync(dest, 'not a directory');
+
+		return instance.hashFilesAsync(testFiles[0], {dest: dest}).then(function() {
+			throw new Error('Expected hashFilesAsync to reject');
+		}, function(err) {
+			expect(err).to.be.an.instanceof(hasher.errors.WriteError);
+			expect(err.code).to.be.a('string');
+		});
+	})
+
+	it('Should throw write error if manifest can\'t be written', function() {
+		instance.hashFiles(testFiles[0]);
+
+		expect(instance.saveManifest.bind(instance, {path: path.join(tmpDir, 'missing')})).to.throw(hasher.errors.WriteError, 'ENOENT');
+	})
+
+});
+
+
+describe('Test manifest schema', function() {
+
+	var manifestFile = path.join(tmpDir, testManifestFilename);
+	var instance;
+
+	beforeEach(function() {
+		addTestFiles(testFiles);
+		instance = hasher.create({manifest: testManifestFilename, path: tmpDir});
+	})
+
+	afterEach(function() {
+		removeTestDir(tmpDir);
+	})
+
+	it('Should record size, MIME type and last hashed time', function() {
+		var before = Date.now();
+		var hashInfo = instance.hashFiles(testFiles[3]);
+
+		expect(hashInfo.size).to.equal(fs.statSync(testFiles[3]).size);
+		expect(hashInfo.mime).to.equal('text/css');
+		expect(hashInfo.hashedAt).to.be.within(before, Date.now());
+		expect(instance.getAsset(testFiles[3])).to.deep.equal(hashInfo);
+	})
+
+	it('Should keep last hashed time if file is unchanged', function() {
+		var hashInfo = instance.hashFiles(testFiles[0]);
+
+		expect(instance.hashFiles(testFiles[0]).hashedAt).to.equal(hashInfo.hashedAt);
+	})
+
+	it('Should save manifest with header', function() {
+		instance.hashFiles(testFiles[0]);
+		instance.saveManifest();
+
+		var manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+
+		expect(manifest.manifest).to.have.all.keys('schema', 'generator', 'hasher', 'hashKey', 'generated');
+		expect(manifest.assets).to.deep.equal(instance.getAssets());
+	})
+
+	it('Should migrate unversioned manifest when loading', function() {
+		var hashInfo = instance.hashFiles(testFiles[0], {manifest: false});
+		var unversioned = {};
+
+		unversioned[testFiles[0]] = _.omit(hashInfo, 'size', 'mime', 'hashedAt');
+		fs.writeFileSync(manifestFile, JSON.stringify(unversioned));
+		instance.resetAssets();
+
+		expect(instance.loadManifest()).to.be.true;
+		expect(instance.getAsset(testFiles[0]).mime).to.equal('image/jpeg');
+
+		instance.hashFiles(testFiles[0]);
+
+		expect(instance.getAsset(testFiles[0])).to.have.property('size', hashInfo.size);
+		expect(instance.getAsset(testFiles[0]).hashedAt).to.be.a('number');
+	})
+
+	it('Should refuse manifest with newer schema version', function() {
+		var contents = JSON.stringify({manifest: {schema: 99}, assets: {}});
+
+		fs.writeFileSync(manifestFile, contents);
+
+		expect(instance.loadManifest.bind(instance)).to.throw(hasher.errors.ManifestVersionError, path.resolve(manifestFile));
+		expect(instance.hashFiles.bind(instance, testFiles[0])).to.throw(hasher.errors.ManifestVersionError);
+		expect(fs.readFileSync(manifestFile, 'utf8')).to.equal(contents);
+	})
+
+});
+
+
+describe('Test incremental cache', function() {
+
+	var calls;
+	var instance;
+	var counting = function(contents, file) {
+		calls.push(file);
+		return crypto.createHash('md5').update(contents).digest();
+	};
+
+	beforeEach(function() {
+		addTestFiles(testFiles);
+		calls = [];
+		instance = hasher.create({manifest: testManifestFilename, path: tmpDir, cache: true});
+		instance.registerHasher('counting', counting);
+		instance.set({hasher: 'counting'});
+	})
+
+	afterEach(function() {
+		removeTestDir(tmpDir);
+	})
+
+	it('Should not record modification time without cache', function() {
+		expect(instance.hashFiles(testFiles[0], {cache: false})).to.not.have.property('mtime');
+	})
+
+	it('Should record modification time and size', function() {
+		var stats = fs.statSync(testFiles[0]);
+		var hashInfo = instance.hashFiles(testFiles[0]);
+
+		expect(hashInfo.mtime).to.equal(stats.mtimeMs);
+		expect(hashInfo.size).to.equal(stats.size);
+		expect(instance.getAsset(testFiles[0]).mtime).to.equal(stats.mtimeMs);
+	})
+
+	it('Should skip hashing unchanged files', function() {
+		var first = instance.hashFiles([testFiles[0], testFiles[1]]);
+
+		calls = [];
+
+		var second = instance.hashFiles([testFiles[0], testFiles[1]]);
+
+		expect(calls).to.be.empty;
+		expect(_.pluck(second, 'path')).to.deep.equal(_.pluck(first, 'path'));
+		expect(instance.getCacheStats()).to.deep.equal({hits: [testFiles[0], testFiles[1]], misses: []});
+	})
+
+	it('Should hash files with a different size', function() {
+		instance.hashFiles([testFiles[0], testFiles[1]]);
+		fs.writeFileSync(testFiles[0], 'changed contents');
+		calls = [];
+
+		var hashInfo = instance.hashFiles(testFiles[0]);
+
+		expect(calls).to.have.length(1);
+		expect(hashInfo.path).to.equal(instance.getAssetFile(testFiles[0]));
+		expect(fs.existsSync(hashInfo.path)).to.be.true;
+		expect(instance.getCacheStats()).to.deep.equal({hits: [], misses: [testFiles[0]]});
+	})
+
+	it('Should hash files with a different modification time', function() {
+		instance.hashFiles(testFiles[0]);
+		fs.utimesSync(testFiles[0], new Date(), new Date(Date.now() + 60000));
+		calls = [];
+
+		var hashInfo = instance.hashFiles(testFiles[0]);
+
+		expect(calls).to.have.length(1);
+		expect(hashInfo.mtime).to.equal(fs.statSync(testFiles[0]).mtimeMs);
+	})
+
+	it('Should hash files with different hash settings', function() {
+		var first = instance.hashFiles(testFiles[0]);
+
+		calls = [];
+
+		var second = instance.hashFiles(testFiles[0], {length: 16});
+
+		expect(calls).to.have.length(1);
+		expect(second.path).to.not.equal(first.path);
+		expect(second.hash).to.have.length(instance.get('hashKey').length + 16);
+		expect(instance.getCacheStats()).to.deep.equal({hits: [], misses: [testFiles[0]]});
+
+		calls = [];
+		instance.hashFiles(testFiles[0], {length: 16});
+
+		expect(calls).to.be.empty;
+		expect(instance.getCacheStats().hits).to.deep.equal([testFiles[0]]);
+	})
+
+	it('Should hash every file with force', function() {
+		instance.hashFiles([testFiles[0], testFiles[1]]);
+		calls = [];
+
+		instance.hashFiles([testFiles[0], testFiles[1]], {force: true});
+
+		expect(calls).to.have.length(2);
+		expect(instance.getCacheStats().misses).to.have.length(2);
+	})
+
+	it('Should use cache saved in manifest', function() {
+		instance.hashFiles(testFiles[0]);
+		instance.saveManifest();
+
+		var other = hasher.create({manifest: testManifestFilename, path: tmpDir, cache: true});
+
+		other.registerHasher('counting', counting);
+		other.set({hasher: 'counting'});
+		calls = [];
+		other.hashFiles(testFiles[0]);
+
+		expect(calls).to.be.empty;
+		expect(other.getCacheStats().hits).to.deep.equal([testFiles[0]]);
+	})
+
+	it('Should hash files missing integrity values', function() {
+		instance.hashFiles(testFiles[0]);
+		calls = [];
+
+		var hashInfo = instance.hashFiles(testFiles[0], {integrity: true});
+
+		expect(calls).to.have.length(1);
+		expect(hashInfo.integrity).to.match(/^sha384-/);
+	})
+
+	it('Should not cache file objects', function() {
+		var file = {path: path.resolve(testFiles[0]), contents: fs.readFileSync(testFiles[0])};
+
+		instance.hashFiles(file);
+		calls = [];
+		instance.hashFiles(file);
+
+		expect(calls).to.have.length(1);
+		expect(instance.getCacheStats().misses).to.have.length(1);
+	})
+
+	it('Should skip hashing unchanged files asynchronously', function() {
+		return instance.hashFilesAsync([testFiles[0], testFiles[1]]).then(function() {
+			calls = [];
+
+			return instance.hashFilesAsync([testFiles[0], testFiles[1]]);
+		}).then(function() {
+			expect(calls).to.be.empty;
+			expect(instance.getCacheStats().hits).to.have.length(2);
+		});
+	})
+
+	it('Should plan no changes for cache hits in a dry run', function() {
+		instance.hashFiles(testFiles[0]);
+		instance.saveManifest();
+		calls = [];
+
+		var plan = instance.hashFiles(testFiles[0], {dryRun: true});
+
+		expect(calls).to.be.empty;
+		expect(plan.operations).to.be.empty;
+		expect(plan.manifest.changed).to.be.empty;
+	})
+
+});
+
+
+describe('Test manifest diff', function() {
+
+	var releaseFile = path.join(tmpDir, 'release.json');
+	var instance;
+
+	beforeEach(function() {
+		addTestFiles(testFiles);
+		instance = hasher.create({manifest: 'release.json', path: tmpDir});
+		instance.hashFiles([testFiles[0], testFiles[1], testFiles[2]]);
+		instance.saveManifest();
+	})
+
+	afterEach(function() {
+		removeTestDir(tmpDir);
+	})
+
+	it('Should classify added, removed, rehashed and unchanged assets', function() {
+		var previous = instance.getAssetFile(testFiles[0]);
+
+		fs.writeFileSync(testFiles[0], 'changed');
+		instance.resetAssets();
+		instance.hashFiles([testFiles[0], testFiles[1], testFiles[6]], {manifest: false});
+
+		var diff = instance.diffManifests(releaseFile);
+		var added = {};
+		var removed = {};
+		var rehashed = {};
+		var unchanged = {};
+
+		added[testFiles[6]] = {from: null, to: instance.getAssetFile(testFiles[6])};
+		removed[testFiles[2]] = {from: JSON.parse(fs.readFileSync(releaseFile, 'utf8')).assets[testFiles[2]].path, to: null};
+		rehashed[testFiles[0]] = {from: previous, to: instance.getAssetFile(testFiles[0])};
+		unchanged[testFiles[1]] = {from: instance.getAssetFile(testFiles[1]), to: instance.getAssetFile(testFiles[1])};
+
+		expect(diff).to.deep.equal({added: added, removed: removed, rehashed: rehashed, unchanged: unchanged});
+	})
+
+	it('Should treat entries that only differ in metadata as unchanged', function() {
+		var before = _.cloneDeep(instance.getAssets());
+
+		instance.updateAsset(testFiles[1], {hashedAt: 0, integrity: 'sha384-abc'});
+
+		var diff = instance.diffManifests(before);
+
+		expect(diff.rehashed).to.be.empty;
+		expect(diff.unchanged).to.have.all.keys(testFiles[0], testFiles[1], testFiles[2]);
+	})
+
+	it('Should compare two manifest files', function() {
+		var otherFile = path.join(tmpDir, 'other.json');
+
+		fs.writeFileSync(otherFile, fs.readFileSync(releaseFile));
+
+		var diff = instance.diffManifests(releaseFile, otherFile);
+
+		expect(diff.added).to.be.empty;
+		expect(diff.removed).to.be.empty;
+		expect(diff.unchanged).to.have.all.keys(testFiles[0], testFiles[1], testFiles[2]);
+	})
+
+	it('Should read manifest files in other formats', function() {
+		var revFile = path.join(tmpDir, 'rev-manifest.json');
+
+		instance.saveManifest({format: 'rev', manifest: 'rev-manifest.json'});
+
+		var diff = instance.diffManifests(revFile, releaseFile, {format: 'rev'});
+
+		expect(diff.unchanged).to.have.all.keys(testFiles[0], testFiles[1], testFiles[2]);
+	})
+
+	it('Should throw if manifest file is missing', function() {
+		expect(instance.diffManifests.bind(instance, path.join(tmpDir, 'missing.json'))).to.throw(hasher.errors.AssetHashError, 'Manifest not found');
+	})
+
+});
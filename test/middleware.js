@@ -0,0 +1,250 @@
+/**
+ * Test Asset Hash middleware
+ */
+
+var	expect		= require('chai').expect;
+var fs			= require('fs');
+var	hasher		= require('../');
+var http		= require('http');
+var path		= require('path');
+var removeTestDir	= require('./support/utils').removeTestDir;
+var zlib		= require('zlib');
+
+
+// Test variables
+
+var tmpDir		= 'tmp/';
+var cssDir		= path.join(tmpDir, 'css');
+var testFiles	= [
+	path.join(cssDir, 'styles.css'),
+	path.join(cssDir, 'print.css')
+];
+var manifestFile = path.join(tmpDir, 'middleware-assets.json');
+
+
+// Utility Functions
+
+/**
+ * Request path from server
+ *
+ * @param {http.Server} server The server
+ * @param {string} requestPath The path to request
+ * @param {object} headers The request headers
+ * @param {string} method The request method
+ * @return {Promise} Resolves with the response status, headers and body
+ */
+function request(server, requestPath, headers, method) {
+	return new Promise(function(resolve, reject) {
+		http.request({
+			port: server.address().port,
+			path: requestPath,
+			method: method || 'GET',
+			headers: headers || {},
+
+			// Without keep alive connections the server can close right after each test
+			agent: false
+		}, function(res) {
+			var chunks = [];
+
+			res.on('data', function(chunk) {
+				chunks.push(chunk);
+			});
+
+			res.on('end', function() {
+				resolve({
+					status: res.statusCode,
+					headers: res.headers,
+					body: Buffer.concat(chunks)
+				});
+			});
+		}).on('error', reject).end();
+	});
+}
+
+
+describe('Test middleware', function() {
+
+	var instance;
+	var server;
+	var hashInfo;
+
+	/**
+	 * Start server with middleware
+	 *
+	 * @param {object} options The middleware options
+	 * @return {Promise} Resolves once the server is listening
+	 */
+	function listen(options) {
+		server = http.createServer(instance.middleware(options));
+
+		return new Promise(function(resolve) {
+			server.listen(0, '127.0.0.1', resolve);
+		});
+	}
+
+	beforeEach(function() {
+		fs.mkdirSync(tmpDir);
+		fs.mkdirSync(cssDir);
+
+		testFiles.forEach(function(file, index) {
+			fs.writeFileSync(file, 'body { margin: ' + index + '; }');
+		});
+
+		instance = hasher.create({manifest: 'middleware-assets.json', path: tmpDir});
+		hashInfo = instance.hashFiles(testFiles[0]);
+		instance.saveManifest();
+
+		return listen();
+	})
+
+	afterEach(function(done) {
+		server.close(function() {
+			removeTestDir(tmpDir);
+			done();
+		});
+	})
+
+	it('Should serve hashed path with immutable caching', function() {
+		return request(server, '/' + hashInfo.path).then(function(res) {
+			expect(res.status).to.equal(200);
+			expect(res.headers['cache-control']).to.equal('public, max-age=31536000, immutable');
+			expect(res.headers['content-type']).to.equal('text/css');
+			expect(res.headers['content-length']).to.equal(String(hashInfo.size));
+			expect(res.headers.etag).to.equal('"' + hashInfo.hash + '"');
+			expect(res.body.toString()).to.equal(fs.readFileSync(testFiles[0], 'utf8'));
+		});
+	})
+
+	it('Should answer matching ETag with not modified', function() {
+		return request(server, '/' + hashInfo.path, {'If-None-Match': '"' + hashInfo.hash + '"'}).then(function(res) {
+			expect(res.status).to.equal(304);
+			expect(res.body).to.have.length(0);
+		});
+	})
+
+	it('Should send headers only for HEAD requests', function() {
+		return request(server, '/' + hashInfo.path, {}, 'HEAD').then(function(res) {
+			expect(res.status).to.equal(200);
+			expect(res.headers['content-length']).to.equal(String(hashInfo.size));
+			expect(res.body).to.have.length(0);
+		});
+	})
+
+	it('Should redirect original path to hashed path', function() {
+		return request(server, '/' + testFiles[0] + '?v=1').then(function(res) {
+			expect(res.status).to.equal(302);
+			expect(res.headers.location).to.equal('/' + hashInfo.path + '?v=1');
+			expect(res.headers['cache-control']).to.equal('no-cache');
+		});
+	})
+
+	it('Should rewrite original path to hashed file', function() {
+		return new Promise(function(resolve) {
+			server.close(resolve);
+		}).then(function() {
+			return listen({originals: 'rewrite'});
+		}).then(function() {
+			return request(server, '/' + testFiles[0]);
+		}).then(function(res) {
+			expect(res.status).to.equal(200);
+			expect(res.headers['cache-control']).to.equal('no-cache');
+			expect(res.headers.etag).to.equal('"' + hashInfo.hash + '"');
+			expect(res.body.toString()).to.equal(fs.readFileSync(testFiles[0], 'utf8'));
+		});
+	})
+
+	it('Should pass on unknown paths', function() {
+		return Promise.all([
+			request(server, '/' + testFiles[1]),
+			request(server, '/bogus.css'),
+			request(server, '/' + hashInfo.path, {}, 'POST')
+		]).then(function(responses) {
+			responses.forEach(function(res) {
+				expect(res.status).to.equal(404);
+			});
+		});
+	})
+
+	it('Should call next for paths it doesn\'t serve', function() {
+		var middleware = instance.middleware();
+
+		return new Promise(function(resolve) {
+			middleware({method: 'GET', url: '/bogus.css', headers: {}}, {}, resolve);
+		});
+	})
+
+	it('Should serve compressed variants the client accepts', function() {
+		var compressed = instance.hashFiles(testFiles[1], {compress: true});
+
+		instance.saveManifest();
+
+		return Promise.all([
+			request(server, '/' + compressed.path, {'Accept-Encoding': 'gzip, br'}),
+			request(server, '/' + compressed.path, {'Accept-Encoding': 'gzip, br;q=0'}),
+			request(server, '/' + compressed.path)
+		]).then(function(responses) {
+			var contents = fs.readFileSync(testFiles[1]);
+
+			expect(responses[0].headers['content-encoding']).to.equal('br');
+			expect(responses[0].headers.etag).to.equal('"' + compressed.hash + '-br"');
+			expect(zlib.brotliDecompressSync(responses[0].body)).to.deep.equal(contents);
+			expect(responses[1].headers['content-encoding']).to.equal('gzip');
+			expect(zlib.gunzipSync(responses[1].body)).to.deep.equal(contents);
+			expect(responses[2].headers).to.not.have.property('content-encoding');
+			expect(responses[2].body).to.deep.equal(contents);
+
+			responses.forEach(function(res) {
+				expect(res.headers.vary).to.equal('Accept-Encoding');
+			});
+		});
+	})
+
+	it('Should reload asset library when manifest file changes', function() {
+		var other = hasher.create({manifest: 'middleware-assets.json', path: tmpDir});
+
+		other.loadManifest();
+		fs.writeFileSync(testFiles[0], 'body { margin: 2; }');
+
+		var rehashed = other.hashFiles(testFiles[0]);
+
+		other.saveManifest();
+
+		// Make sure the modification time changes even on file systems with coarse timestamps
+		fs.utimesSync(manifestFile, new Date(), new Date(Date.now() + 60000));
+
+		return request(server, '/' + testFiles[0]).then(function(res) {
+			expect(res.headers.location).to.equal('/' + rehashed.path);
+		});
+	})
+
+	it('Should serve from prefix', function() {
+		return new Promise(function(resolve) {
+			server.close(resolve);
+		}).then(function() {
+			return listen({prefix: '/static'});
+		}).then(function() {
+			return Promise.all([
+				request(server, '/static/' + hashInfo.path),
+				request(server, '/' + hashInfo.path)
+			]);
+		}).then(function(responses) {
+			expect(responses[0].status).to.equal(200);
+			expect(responses[1].status).to.equal(404);
+		});
+	})
+
+	it('Should serve kept versions', function() {
+		fs.writeFileSync(testFiles[0], 'body { margin: 3; }');
+		instance.hashFiles(testFiles[0], {keep: 1});
+		instance.saveManifest();
+		fs.utimesSync(manifestFile, new Date(), new Date(Date.now() + 60000));
+
+		expect(instance.getAsset(testFiles[0]).versions[0].path).to.equal(hashInfo.path);
+
+		return request(server, '/' + hashInfo.path).then(function(res) {
+			expect(res.status).to.equal(200);
+			expect(res.headers.etag).to.equal('"' + hashInfo.hash + '"');
+		});
+	})
+
+});
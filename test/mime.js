@@ -0,0 +1,27 @@
+/**
+ * Test MIME types
+ */
+
+var	expect		= require('chai').expect;
+var mime		= require('../lib/mime');
+
+
+describe('Test MIME types', function() {
+
+	it('Should look up MIME type from extension', function() {
+		expect(mime.lookup('css/styles.css')).to.equal('text/css');
+		expect(mime.lookup('js/main.js')).to.equal('application/javascript');
+		expect(mime.lookup('img/logo.svg')).to.equal('image/svg+xml');
+	})
+
+	it('Should ignore case of extension', function() {
+		expect(mime.lookup('img/LOGO.PNG')).to.equal('image/png');
+	})
+
+	it('Should use default type for unknown extensions', function() {
+		expect(mime.lookup('data/file.bogus')).to.equal(mime.defaultType);
+		expect(mime.lookup('LICENSE')).to.equal('application/octet-stream');
+		expect(mime.lookup('js/constructor.constructor')).to.equal(mime.defaultType);
+	})
+
+});
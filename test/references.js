@@ -0,0 +1,128 @@
+/**
+ * Test asset reference rewriting
+ */
+
+var	expect		= require('chai').expect;
+var references	= require('../lib/references');
+
+
+describe('Test reference content types', function() {
+
+	it('Should detect css files', function() {
+		expect(references.typeOf('css/styles.css')).to.equal('css');
+		expect(references.typeOf('css/styles.scss')).to.equal('css');
+	})
+
+	it('Should detect html files', function() {
+		expect(references.typeOf('index.html')).to.equal('html');
+	})
+
+	it('Should detect js files', function() {
+		expect(references.typeOf('js/main.js')).to.equal('js');
+	})
+
+	it('Should return null for unsupported files', function() {
+		expect(references.typeOf('img/logo.png')).to.be.null;
+	})
+
+});
+
+
+describe('Test finding references', function() {
+
+	it('Should find url() references in css', function() {
+		var found = references.find('a { background: url("../img/bg.jpg"); } b { background: url(logo.png); }', 'css');
+
+		expect(found).to.have.length(2);
+		expect(found[0].value).to.equal('../img/bg.jpg');
+		expect(found[1].value).to.equal('logo.png');
+	})
+
+	it('Should find @import references in css', function() {
+		var found = references.find('@import "reset.css";', 'css');
+
+		expect(found).to.have.length(1);
+		expect(found[0].value).to.equal('reset.css');
+	})
+
+	it('Should find src and href references in html', function() {
+		var found = references.find('<link href="css/styles.css"><script src=\'js/main.js\'></script>', 'html');
+
+		expect(found).to.have.length(2);
+		expect(found[0].value).to.equal('css/styles.css');
+		expect(found[1].value).to.equal('js/main.js');
+	})
+
+	it('Should find each url in srcset', function() {
+		var found = references.find('<img srcset="img/logo.png 1x, img/logo@2x.png 2x">', 'html');
+
+		expect(found).to.have.length(2);
+		expect(found[0].value).to.equal('img/logo.png');
+		expect(found[1].value).to.equal('img/logo@2x.png');
+	})
+
+	it('Should find string and import references in js', function() {
+		var found = references.find('import x from "./util.js";\nvar logo = \'img/logo.png\';', 'js');
+
+		expect(found).to.have.length(2);
+		expect(found[0].value).to.equal('./util.js');
+		expect(found[1].value).to.equal('img/logo.png');
+	})
+
+	it('Should return index of each reference', function() {
+		var contents = 'a { background: url(\'logo.png\'); }';
+		var found = references.find(contents, 'css');
+
+		expect(contents.substr(found[0].index, found[0].value.length)).to.equal('logo.png');
+	})
+
+});
+
+
+describe('Test rewriting references', function() {
+
+	it('Should replace references', function() {
+		var rewritten = references.rewrite('<img src="logo.png" srcset="logo.png 1x, big.png 2x">', 'html', function(value) {
+			return value === 'logo.png' ? 'logo-123.png' : null;
+		});
+
+		expect(rewritten.contents).to.equal('<img src="logo-123.png" srcset="logo-123.png 1x, big.png 2x">');
+		expect(rewritten.replaced).to.deep.equal([{from: 'logo.png', to: 'logo-123.png'}, {from: 'logo.png', to: 'logo-123.png'}]);
+	})
+
+	it('Should leave contents unchanged if nothing is replaced', function() {
+		var contents = 'a { background: url(logo.png); }';
+		var rewritten = references.rewrite(contents, 'css', function() {
+			return null;
+		});
+
+		expect(rewritten.contents).to.equal(contents);
+		expect(rewritten.replaced).to.be.empty;
+	})
+
+});
+
+
+describe('Test finding source map comments', function() {
+
+	it('Should find source map comment in js', function() {
+		var contents = 'var a = 1;\n//# sourceMappingURL=app.js.map\n';
+		var found = references.findSourceMap(contents);
+
+		expect(found.value).to.equal('app.js.map');
+		expect(contents.substr(found.index, found.value.length)).to.equal('app.js.map');
+	})
+
+	it('Should find source map comment in css', function() {
+		expect(references.findSourceMap('a {}\n/*# sourceMappingURL=site.css.map */').value).to.equal('site.css.map');
+	})
+
+	it('Should use the last source map comment', function() {
+		expect(references.findSourceMap('//# sourceMappingURL=old.map\n//@ sourceMappingURL=new.map').value).to.equal('new.map');
+	})
+
+	it('Should return null if there is no source map comment', function() {
+		expect(references.findSourceMap('var a = 1;')).to.be.null;
+	})
+
+});
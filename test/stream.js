@@ -0,0 +1,186 @@
+/**
+ * Test Asset Hash gulp stream
+ */
+
+var	expect		= require('chai').expect;
+var File		= require('vinyl');
+var fs			= require('fs');
+var	hasher		= require('../');
+var path		= require('path');
+var removeTestDir	= require('./support/utils').removeTestDir;
+var stream		= require('stream');
+
+
+// Test variables
+
+var tmpDir		= 'tmp/';
+var testFile	= path.resolve(tmpDir, 'img/logo.png');
+
+
+// Utility Functions
+
+/**
+ * Write files to stream and collect the files it outputs
+ *
+ * @param {stream.Transform} hashStream The stream to test
+ * @param {array} files Vinyl files to write
+ * @return {Promise} Resolves with the output files
+ */
+function runStream(hashStream, files) {
+	return new Promise(function(resolve, reject) {
+		var output = [];
+
+		hashStream.on('data', function(file) {
+			output.push(file);
+		});
+
+		hashStream.on('error', reject);
+
+		hashStream.on('end', function() {
+			resolve(output);
+		});
+
+		files.forEach(function(file) {
+			hashStream.write(file);
+		});
+
+		hashStream.end();
+	});
+}
+
+
+/**
+ * Read stream contents of vinyl file
+ *
+ * @param {vinyl} file The file to read
+ * @return {Promise} Resolves with contents as a string
+ */
+function readContents(file) {
+	return new Promise(function(resolve) {
+		var chunks = [];
+
+		file.contents.on('data', function(chunk) {
+			chunks.push(chunk);
+		});
+
+		file.contents.on('end', function() {
+			resolve(Buffer.concat(chunks).toString());
+		});
+	});
+}
+
+
+/**
+ * Create vinyl file for test file
+ *
+ * @param {buffer|stream} contents The file contents
+ * @return {vinyl} The vinyl file
+ */
+function createFile(contents) {
+	return new File({
+		cwd: process.cwd(),
+		base: path.resolve(tmpDir),
+		path: testFile,
+		contents: contents
+	});
+}
+
+
+describe('Test gulp stream', function() {
+
+	var instance;
+
+	beforeEach(function() {
+		instance = hasher.create({manifest: 'rev-manifest.json'});
+	})
+
+	it('Should have a stream method', function() {
+		expect(instance.stream).to.be.a('function');
+	})
+
+	it('Should return a transform stream', function() {
+		expect(instance.stream()).to.be.an.instanceof(stream.Transform);
+	})
+
+	it('Should rename buffer file to hashed path', function() {
+		return runStream(instance.stream(), [createFile(Buffer.from('logo contents'))]).then(function(files) {
+			var asset = instance.getAsset(path.relative(process.cwd(), testFile));
+
+			expect(files[0].path).to.equal(path.resolve(asset.path));
+			expect(files[0].contents.toString()).to.equal('logo contents');
+		});
+	})
+
+	it('Should rename stream file to hashed path and keep contents', function() {
+		var contents = new stream.PassThrough();
+
+		contents.end('logo contents');
+
+		return runStream(instance.stream(), [createFile(contents)]).then(function(files) {
+			expect(files[0].path).to.contain(hasher.get('hashKey'));
+
+			return readContents(files[0]);
+		}).then(function(contents) {
+			expect(contents).to.equal('logo contents');
+		});
+	})
+
+	it('Should emit manifest file at end of stream', function() {
+		return runStream(instance.stream(), [createFile(Buffer.from('logo contents'))]).then(function(files) {
+			var manifest = files[files.length - 1];
+
+			expect(files).to.have.length(2);
+			expect(path.basename(manifest.path)).to.equal('rev-manifest.json');
+			expect(JSON.parse(manifest.contents.toString()).assets).to.deep.equal(instance.getAssets());
+		});
+	})
+
+	it('Should not emit manifest file if manifest is false', function() {
+		return runStream(instance.stream({manifest: false}), [createFile(Buffer.from('logo contents'))]).then(function(files) {
+			expect(files).to.have.length(1);
+		});
+	})
+
+	it('Should pass through original files if requested', function() {
+		return runStream(instance.stream({originals: true, manifest: false}), [createFile(Buffer.from('logo contents'))]).then(function(files) {
+			expect(files).to.have.length(2);
+			expect(files[0].path).to.equal(testFile);
+			expect(files[1].path).to.not.equal(testFile);
+		});
+	})
+
+	it('Should not write hashed files', function() {
+		return runStream(instance.stream({manifest: false}), [createFile(Buffer.from('logo contents'))]).then(function(files) {
+			expect(fs.existsSync(files[0].path)).to.be.false;
+		});
+	})
+
+	it('Should not remove original files if the instance replaces them', function() {
+		var replacing = hasher.create({manifest: false, replace: true});
+
+		fs.mkdirSync(tmpDir);
+		fs.mkdirSync(path.dirname(testFile));
+		fs.writeFileSync(testFile, 'logo contents');
+
+		return runStream(replacing.stream(), [createFile(fs.readFileSync(testFile))]).then(function() {
+			var exists = fs.existsSync(testFile);
+
+			removeTestDir(tmpDir);
+			expect(exists).to.be.true;
+		});
+	})
+
+	it('Should pass through ignored files unchanged', function() {
+		return runStream(instance.stream({manifest: false, ignore: '*.png'}), [createFile(Buffer.from('logo contents'))]).then(function(files) {
+			expect(files[0].path).to.equal(testFile);
+			expect(instance.getAssets()).to.be.empty;
+		});
+	})
+
+	it('Should pass through files without contents', function() {
+		return runStream(instance.stream({manifest: false}), [createFile(null)]).then(function(files) {
+			expect(files[0].path).to.equal(testFile);
+		});
+	})
+
+});
@@ -0,0 +1,36 @@
+/**
+ * Utility functions shared by the tests
+ */
+
+var fs			= require('fs');
+var path		= require('path');
+
+
+/**
+ * Clean up test environment
+ *
+ * @param {string} dirPath The path to directory to remove
+ */
+function removeTestDir(dirPath) {
+	if (fs.lstatSync(dirPath).isDirectory()) {
+		fs.readdirSync(dirPath).forEach(function(file) {
+			var curPath = path.join(dirPath, file);
+
+			if (fs.lstatSync(curPath).isDirectory()) {
+				removeTestDir(curPath);
+			} else {
+				fs.unlinkSync(curPath);
+			}
+		});
+
+		fs.rmdirSync(dirPath);
+	}
+}
+
+
+/**
+ * Export
+ */
+module.exports = {
+	removeTestDir: removeTestDir
+};
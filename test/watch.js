@@ -0,0 +1,148 @@
+/**
+ * Test Asset Hash watch mode
+ */
+
+var	expect		= require('chai').expect;
+var fs			= require('fs');
+var	hasher		= require('../');
+var path		= require('path');
+var removeTestDir	= require('./support/utils').removeTestDir;
+
+
+// Test variables
+
+var tmpDir		= 'tmp/';
+var imgDir		= path.join(tmpDir, 'img');
+var testFiles	= [
+	path.join(imgDir, 'bg.jpg'),
+	path.join(imgDir, 'logo.png')
+];
+var manifestFile = path.join(tmpDir, 'watch-assets.json');
+
+
+// Utility Functions
+
+/**
+ * Wait for watcher event
+ *
+ * @param {EventEmitter} watcher The watcher
+ * @param {string} event The event to wait for
+ * @return {Promise} Resolves with the event data
+ */
+function waitFor(watcher, event) {
+	return new Promise(function(resolve, reject) {
+		watcher.once(event, resolve);
+		watcher.once('error', reject);
+	});
+}
+
+
+describe('Test watch mode', function() {
+
+	var instance;
+	var watcher;
+
+	this.timeout(10000);
+
+	beforeEach(function() {
+		fs.mkdirSync(tmpDir);
+		fs.mkdirSync(imgDir);
+
+		testFiles.forEach(function(file, index) {
+			fs.writeFileSync(file, 'test file ' + index);
+		});
+
+		instance = hasher.create({manifest: 'watch-assets.json', path: tmpDir});
+		watcher = instance.watch(imgDir, {debounce: 50});
+
+		return waitFor(watcher, 'hashed');
+	})
+
+	afterEach(function() {
+		return watcher.close().then(function() {
+			removeTestDir(tmpDir);
+		});
+	})
+
+	it('Should hash existing files when watching starts', function() {
+		testFiles.forEach(function(file) {
+			expect(instance.getAsset(file)).to.be.an('object');
+			expect(fs.existsSync(instance.getAssetFile(file))).to.be.true;
+		});
+	})
+
+	it('Should save manifest after a batch', function() {
+		expect(JSON.parse(fs.readFileSync(manifestFile, 'utf8')).assets).to.have.all.keys(testFiles);
+	})
+
+	it('Should rehash only changed files', function() {
+		var oldPath = instance.getAssetFile(testFiles[0]);
+
+		fs.appendFileSync(testFiles[0], 'appending more test content');
+
+		return waitFor(watcher, 'hashed').then(function(results) {
+			expect(results).to.have.length(1);
+			expect(results[0].original).to.equal(testFiles[0]);
+			expect(results[0].path).to.not.equal(oldPath);
+			expect(fs.existsSync(oldPath)).to.be.false;
+			expect(JSON.parse(fs.readFileSync(manifestFile, 'utf8')).assets[testFiles[0]].path).to.equal(results[0].path);
+		});
+	})
+
+	it('Should hash added files', function() {
+		var added = path.join(imgDir, 'favicon.png');
+
+		fs.writeFileSync(added, 'added file');
+
+		return waitFor(watcher, 'hashed').then(function(results) {
+			expect(results).to.have.length(1);
+			expect(results[0].original).to.equal(added);
+		});
+	})
+
+	it('Should remove asset and hashed file for deleted files', function() {
+		var hashedPath = instance.getAssetFile(testFiles[1]);
+
+		fs.unlinkSync(testFiles[1]);
+
+		return Promise.all([waitFor(watcher, 'removed'), waitFor(watcher, 'manifest')]).then(function(events) {
+			expect(events[0][0].original).to.equal(testFiles[1]);
+			expect(instance.getAsset(testFiles[1])).to.be.null;
+			expect(fs.existsSync(hashedPath)).to.be.false;
+			expect(JSON.parse(fs.readFileSync(manifestFile, 'utf8')).assets).to.not.have.key(testFiles[1]);
+		});
+	})
+
+	it('Should keep deleted files out of the asset library when other files change in the same batch', function() {
+		var hashedPath = instance.getAssetFile(testFiles[1]);
+
+		// Deletions are reported later than changes so they need a longer debounce delay to end up in the same batch
+		return watcher.close().then(function() {
+			watcher = instance.watch(imgDir, {debounce: 500});
+
+			return waitFor(watcher, 'manifest');
+		}).then(function() {
+			fs.unlinkSync(testFiles[1]);
+			fs.appendFileSync(testFiles[0], 'appending more test content');
+
+			return Promise.all([waitFor(watcher, 'hashed'), waitFor(watcher, 'removed'), waitFor(watcher, 'manifest')]);
+		}).then(function(events) {
+			expect(events[0]).to.have.length(1);
+			expect(events[0][0].original).to.equal(testFiles[0]);
+			expect(events[1][0].original).to.equal(testFiles[1]);
+			expect(instance.getAsset(testFiles[1])).to.be.null;
+			expect(fs.existsSync(hashedPath)).to.be.false;
+			expect(JSON.parse(fs.readFileSync(manifestFile, 'utf8')).assets).to.have.all.keys(testFiles[0]);
+		});
+	})
+
+		it('Should handle changes within debounce delay as one batch', function() {
+		fs.appendFileSync(testFiles[0], 'appending more test content');
+		fs.appendFileSync(testFiles[1], 'appending more test content');
+
+		return waitFor(watcher, 'hashed').then(function(results) {
+			expect(results).to.have.length(2);
+		});
+	})
+
+});